@@ -0,0 +1,121 @@
+'use strict';
+
+var _ = require('underscore');
+
+// characters that have a meaning in a path and must be escaped with a backslash to be used in a key
+var SPECIAL_CHARACTERS = /[.\[\]\\]/g;
+
+/**
+ * Read the key inside of brackets starting at the index of the opening bracket
+ * @param path the full path
+ * @param start index of the opening bracket
+ * @returns {*} object with shape { key: string|number, end: index after the closing bracket } or null if the bracket
+ * is not closed
+ */
+var readBracket = function (path, start) {
+  var i = start + 1;
+  var quote = path.charAt(i);
+
+  // bracket-quoted key, e.g. ["key.with.periods"]
+  if (quote === "\"" || quote === "'") {
+    var key = "";
+    i++;
+    while (i < path.length && path.charAt(i) !== quote) {
+      if (path.charAt(i) === "\\" && i + 1 < path.length) {
+        i++;
+      }
+      key += path.charAt(i);
+      i++;
+    }
+    if (path.charAt(i + 1) !== "]") {
+      return null;
+    }
+    return { key: key, end: i + 2 };
+  }
+
+  // array index, e.g. [0]
+  var close = path.indexOf("]", i);
+  if (close === -1) {
+    return null;
+  }
+  var content = path.substring(i, close);
+  return {
+    key: /^\d+$/.test(content) ? parseInt(content, 10) : content,
+    end: close + 1
+  };
+};
+
+/**
+ * Parse a path into the list of keys it addresses. The following are supported:
+ * 1. keys separated by periods, e.g. token.user.name
+ *
+ * 2. array indices either as a key or in brackets, e.g. items.0.name or items[0].name. Keys in brackets are numbers,
+ * which indicates that an array should be created when the path is set and the array does not exist
+ *
+ * 3. keys containing periods, either escaped with a backslash or quoted in brackets, e.g. domains.example\.com or
+ * domains["example.com"]
+ *
+ * @param path string path, or an array of keys which is returned as a copy
+ * @returns {Array}
+ */
+var parse = function (path) {
+  if (_.isArray(path)) {
+    return path.slice();
+  }
+  path = String(path);
+
+  var keys = [];
+  var current = "";
+  // whether the last key was closed by a bracket, in which case it has already been added to the keys
+  var afterBracket = false;
+  var i = 0;
+  while (i < path.length) {
+    var c = path.charAt(i);
+    if (c === "\\" && i + 1 < path.length) {
+      current += path.charAt(i + 1);
+      afterBracket = false;
+      i += 2;
+    } else if (c === ".") {
+      if (!afterBracket) {
+        keys.push(current);
+      }
+      current = "";
+      afterBracket = false;
+      i++;
+    } else if (c === "[" && readBracket(path, i) !== null) {
+      var bracket = readBracket(path, i);
+      if (current.length > 0) {
+        keys.push(current);
+      }
+      keys.push(bracket.key);
+      current = "";
+      afterBracket = true;
+      i = bracket.end;
+    } else {
+      current += c;
+      afterBracket = false;
+      i++;
+    }
+  }
+  if (!afterBracket) {
+    keys.push(current);
+  }
+  return keys;
+};
+
+/**
+ * Turn a list of keys into the canonical form of the path, i.e. keys separated by periods with special characters
+ * escaped. This is the form used in the names of change events
+ * @param keys array of keys
+ * @returns {string}
+ */
+var stringify = function (keys) {
+  return _.map(keys, function (key) {
+    return String(key).replace(SPECIAL_CHARACTERS, "\\$&");
+  }).join(".");
+};
+
+module.exports = {
+  parse: parse,
+  stringify: stringify
+};
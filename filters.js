@@ -0,0 +1,190 @@
+'use strict';
+
+var _ = require('underscore');
+var moment = require('moment');
+
+var nullOrUndefined = function (val) {
+  return typeof val === "undefined" || val === null;
+};
+
+var toNumberIfNumeric = function (val) {
+  var num = +val;
+  return (typeof val !== "boolean" && !isNaN(val) && !isNaN(num) && String(val).trim().length > 0) ? num : val;
+};
+
+var equals = function (value, operand) {
+  if (_.isEqual(value, operand)) {
+    return true;
+  }
+  return !nullOrUndefined(value) && !nullOrUndefined(operand) && !_.isObject(value) && !_.isObject(operand) &&
+    String(value) === String(operand);
+};
+
+var toTimestamp = function (val) {
+  if (nullOrUndefined(val) || val === "") {
+    return null;
+  }
+  var ts = moment.isMoment(val) ? val : (typeof val === "string" ? moment.utc(val, moment.ISO_8601) : moment.utc(val));
+  return ts.isValid() ? ts : null;
+};
+
+// the bounds of a range operand, either [ min, max ] or { min: x, max: y }, where either bound can be null for no bound
+var bounds = function (operand) {
+  if (_.isArray(operand)) {
+    return { min: operand[ 0 ], max: operand[ 1 ] };
+  }
+  return { min: operand && operand.min, max: operand && operand.max };
+};
+
+var joinBounds = function (operand, serializeBound) {
+  var b = bounds(operand);
+  return _.map([ b.min, b.max ], function (bound) {
+    return nullOrUndefined(bound) ? "" : serializeBound(bound);
+  }).join(",");
+};
+
+// the bounds of a serialized range operand, where an empty bound is no bound
+var splitBounds = function (str) {
+  return _.map(str.split(","), function (bound) {
+    return bound === "" ? null : bound;
+  });
+};
+
+/**
+ * The operators that filters can use. Each operator has the following functions:
+ *  test (value, operand) whether the value of a model matches the filter, used when the collection is on the client
+ *  serialize (operand) the string sent to the server for the operand, used when the collection is on the server
+ *  parse (str) optional, the operand of a serialized operand, e.g. to restore filters from the url. Defaults to the
+ *    string
+ * More operators can be added to this object
+ */
+var operators = {
+  // the value is equal to the operand, comparing numbers and strings by their string value
+  eq: {
+    test: equals,
+    serialize: String
+  },
+
+  // the value is equal to one of the values in the operand array
+  "in": {
+    test: function (value, operand) {
+      return _.some(operand, function (oneOperand) {
+        return equals(value, oneOperand);
+      });
+    },
+    serialize: function (operand) {
+      return _.map(operand, String).join(",");
+    },
+    parse: function (str) {
+      return str === "" ? [] : str.split(",");
+    }
+  },
+
+  // the value is between the bounds of the operand, inclusive
+  range: {
+    test: function (value, operand) {
+      if (nullOrUndefined(value)) {
+        return false;
+      }
+      var b = bounds(operand);
+      value = toNumberIfNumeric(value);
+      return (nullOrUndefined(b.min) || value >= toNumberIfNumeric(b.min)) &&
+        (nullOrUndefined(b.max) || value <= toNumberIfNumeric(b.max));
+    },
+    serialize: function (operand) {
+      return joinBounds(operand, String);
+    },
+    parse: splitBounds
+  },
+
+  // the string value contains the operand ignoring case, or the array value contains an element equal to the operand
+  contains: {
+    test: function (value, operand) {
+      if (_.isArray(value)) {
+        return _.some(value, function (element) {
+          return equals(element, operand);
+        });
+      }
+      return !nullOrUndefined(value) && String(value).toUpperCase().indexOf(String(operand).toUpperCase()) !== -1;
+    },
+    serialize: String
+  },
+
+  // the date value is between the dates of the operand, inclusive. Dates can be ISO 8601 strings, Dates or moments
+  "date-between": {
+    test: function (value, operand) {
+      var ts = toTimestamp(value);
+      if (ts === null) {
+        return false;
+      }
+      var b = bounds(operand);
+      var min = toTimestamp(b.min), max = toTimestamp(b.max);
+      return (min === null || !ts.isBefore(min)) && (max === null || !ts.isAfter(max));
+    },
+    serialize: function (operand) {
+      return joinBounds(operand, function (bound) {
+        var ts = toTimestamp(bound);
+        return ts === null ? String(bound) : ts.toISOString();
+      });
+    },
+    parse: splitBounds
+  }
+};
+
+var getOperator = function (name) {
+  var operator = operators[ name ];
+  if (!operator) {
+    throw new Error("Unknown filter operator: " + name);
+  }
+  return operator;
+};
+
+/**
+ * Whether a model matches every filter
+ * @param model the model
+ * @param filters array of filters with shape { path: string, operator: string, value: * }
+ * @returns {boolean}
+ */
+var matches = function (model, filters) {
+  return _.every(filters, function (filter) {
+    return getOperator(filter.operator).test(model.get(filter.path), filter.value);
+  });
+};
+
+/**
+ * The string sent to the server for a filter
+ * @param filter the filter
+ * @param separator the separator between the path, the operator and the operand
+ * @returns {string}
+ */
+var serialize = function (filter, separator) {
+  return [ filter.path, filter.operator, getOperator(filter.operator).serialize(filter.value) ].join(separator);
+};
+
+/**
+ * Read a filter from the string produced by serialize
+ * @param str the string
+ * @param separator the separator between the path, the operator and the operand
+ * @returns {*} the filter, or null if the string is not a filter with a known operator
+ */
+var parse = function (str, separator) {
+  var parts = String(str).split(separator);
+  if (parts.length < 3 || parts[ 0 ].length === 0 || !_.has(operators, parts[ 1 ])) {
+    return null;
+  }
+  var operator = operators[ parts[ 1 ] ];
+  var operand = parts.slice(2).join(separator);
+  return {
+    path: parts[ 0 ],
+    operator: parts[ 1 ],
+    value: typeof operator.parse === "function" ? operator.parse(operand) : operand
+  };
+};
+
+module.exports = {
+  operators: operators,
+  getOperator: getOperator,
+  matches: matches,
+  serialize: serialize,
+  parse: parse
+};
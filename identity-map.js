@@ -0,0 +1,148 @@
+'use strict';
+
+var OriginalBackbone = require('backbone');
+var _ = require('underscore');
+
+/**
+ * Stores a single instance of each model per model type and id, so that the same server entity resolves to the same
+ * model everywhere it is used
+ * Options:
+ *  maxSize: the maximum number of models stored per model type, the least recently used models are evicted first
+ * Events:
+ *  register (model) when a model is added to the map
+ *  evict (model) when a model is removed from the map
+ * @param options
+ * @constructor
+ */
+var IdentityMap = function (options) {
+  this.maxSize = (options && typeof options.maxSize === "number") ? options.maxSize : Infinity;
+  // model constructor -> Map of id -> model, in order from least to most recently used
+  this._stores = new Map();
+};
+
+_.extend(IdentityMap.prototype, OriginalBackbone.Events, {
+  _store: function (Type, create) {
+    var store = this._stores.get(Type);
+    if (!store && create) {
+      store = new Map();
+      this._stores.set(Type, store);
+    }
+    return store;
+  },
+
+  /**
+   * Get the model of the given type with the given id
+   * @param Type model constructor
+   * @param id value of the idAttribute of the model
+   * @returns {*} the model or undefined
+   */
+  get: function (Type, id) {
+    var store = this._store(Type, false);
+    if (!store || id === null || typeof id === "undefined") {
+      return undefined;
+    }
+    id = String(id);
+    var model = store.get(id);
+    if (model) {
+      // move the model to the end of the store so that it is the last to be evicted
+      store.delete(id);
+      store.set(id, model);
+    }
+    return model;
+  },
+
+  /**
+   * Add a model to the map if it has an id and no other model of the same type has the same id
+   * @param model the model to register
+   * @returns {*} the model that is stored for the id of the model
+   */
+  register: function (model) {
+    if (model.id === null || typeof model.id === "undefined") {
+      return model;
+    }
+    var Type = model.constructor;
+    var id = String(model.id);
+    var existing = this.get(Type, id);
+    if (existing) {
+      return existing;
+    }
+
+    var store = this._store(Type, true);
+    // the id of the model changed since it was registered
+    if (typeof model._identityMapId !== "undefined" && store.get(model._identityMapId) === model) {
+      store.delete(model._identityMapId);
+    }
+    model._identityMapId = id;
+    store.set(id, model);
+    this.trigger("register", model);
+
+    while (store.size > this.maxSize) {
+      this.evict(store.values().next().value);
+    }
+    return model;
+  },
+
+  /**
+   * Remove a model from the map
+   * @param model the model to remove
+   * @returns {IdentityMap}
+   */
+  evict: function (model) {
+    var store = this._store(model.constructor, false);
+    if (store && store.get(model._identityMapId) === model) {
+      store.delete(model._identityMapId);
+      delete model._identityMapId;
+      this.trigger("evict", model);
+    }
+    return this;
+  },
+
+  /**
+   * Remove every model of the given type, or every model if no type is given
+   * @param Type optional model constructor
+   * @returns {IdentityMap}
+   */
+  clear: function (Type) {
+    var stores = Type ? _.compact([ this._store(Type, false) ]) : Array.from(this._stores.values());
+    _.each(stores, function (store) {
+      _.each(Array.from(store.values()), this.evict, this);
+    }, this);
+    return this;
+  },
+
+  /**
+   * Evict the models that nothing is listening to, i.e. models that are not in any collection or bound to components
+   * @returns {number} the number of models that were evicted
+   */
+  gc: function () {
+    var evicted = 0;
+    this._stores.forEach(function (store) {
+      _.each(Array.from(store.values()), function (model) {
+        if (_.isEmpty(model._events)) {
+          this.evict(model);
+          evicted++;
+        }
+      }, this);
+    }, this);
+    return evicted;
+  },
+
+  /**
+   * The number of models stored for the given type, or in total if no type is given
+   * @param Type optional model constructor
+   * @returns {number}
+   */
+  size: function (Type) {
+    if (Type) {
+      var store = this._store(Type, false);
+      return store ? store.size : 0;
+    }
+    var total = 0;
+    this._stores.forEach(function (store) {
+      total += store.size;
+    });
+    return total;
+  }
+});
+
+module.exports = IdentityMap;
@@ -2,55 +2,657 @@
 
 var OriginalBackbone = require('backbone');
 var jsogDecode = require('./jsog-decode');
+var jsogEncode = require('./jsog-encode');
+var attributePath = require('./attribute-path');
+var IdentityMap = require('./identity-map');
+var attributeSchema = require('./schema');
+var validation = require('./validation');
+var SyncError = require('./sync-error');
+var transport = require('./transport');
+var pagination = require('./pagination');
+var QueryCache = require('./query-cache');
+var filters = require('./filters');
+var queryState = require('./query-state');
+var retry = require('./retry');
+var OfflineQueue = require('./offline-queue');
+var interceptors = require('./interceptors');
+var binding = require('./react-binding');
 var _ = require('underscore');
 var moment = require('moment');
-var Promise = require('promise-polyfill');
+var Promise = require('./promise');
 
 var ReactBackbone = _.clone(OriginalBackbone);
 
+// whether a value is an object or array whose nested attributes we walk, as opposed to a model or collection
+var isWalkable = function (val) {
+  return _.isObject(val) && !_.isFunction(val) && typeof val.get !== "function";
+};
+
+/**
+ * Collect the paths below the given path whose values differ between the old and new value
+ * @param oldVal the value before the change
+ * @param newVal the value after the change
+ * @param keys the keys of the path of the values
+ * @param paths the array that the changed paths are pushed onto, deepest paths first
+ * @param seen the objects already being walked, so that circular references are only walked once
+ * @returns {Array}
+ */
+var collectChangedPaths = function (oldVal, newVal, keys, paths, seen) {
+  if (_.isEqual(oldVal, newVal)) {
+    return paths;
+  }
+  seen = seen || [];
+  var walkOld = isWalkable(oldVal) && !_.contains(seen, oldVal),
+    walkNew = isWalkable(newVal) && !_.contains(seen, newVal);
+  var childKeys = _.union(walkOld ? _.keys(oldVal) : [], walkNew ? _.keys(newVal) : []);
+  var nextSeen = seen.concat(_.filter([ oldVal, newVal ], isWalkable));
+  _.each(childKeys, function (key) {
+    collectChangedPaths(
+      walkOld ? oldVal[ key ] : undefined,
+      walkNew ? newVal[ key ] : undefined,
+      keys.concat([ key ]),
+      paths,
+      nextSeen
+    );
+  });
+  paths.push(attributePath.stringify(keys));
+  return paths;
+};
+
+/**
+ * Copy a value into plain objects and arrays, turning models into their attributes and collections into arrays, so it
+ * can be compared with later values
+ * @param val the value
+ * @param seen the models and objects already copied. Models are copied as their id when they are seen again, and
+ * objects are not copied again
+ * @returns {*}
+ */
+var plainValue = function (val, seen) {
+  seen = seen || new Set();
+  if (val instanceof OriginalBackbone.Model) {
+    if (seen.has(val)) {
+      return val.id;
+    }
+    seen.add(val);
+    return plainValue(val.attributes, seen);
+  }
+  if (val instanceof OriginalBackbone.Collection) {
+    return val.map(function (model) {
+      return plainValue(model, seen);
+    });
+  }
+  if (!isWalkable(val) || val instanceof Date || moment.isMoment(val)) {
+    return val;
+  }
+  // objects that were already seen, including circular references, are not copied again
+  if (seen.has(val)) {
+    return val;
+  }
+  seen.add(val);
+  if (_.isArray(val)) {
+    return _.map(val, function (element) {
+      return plainValue(element, seen);
+    });
+  }
+  return _.mapObject(val, function (nested) {
+    return plainValue(nested, seen);
+  });
+};
+
+/**
+ * Get the value at a path of a plain object
+ * @param obj the object
+ * @param keys the keys of the path
+ * @returns {*}
+ */
+var valueAt = function (obj, keys) {
+  for (var i = 0; i < keys.length && obj !== null && typeof obj !== "undefined"; i++) {
+    obj = obj[ keys[ i ] ];
+  }
+  return obj;
+};
+
+/**
+ * Return a copy of a nested object so it can be modified when setting a path, or a new object if there is none
+ * @param val the current value
+ * @param nextKey the key that will be set on the copy, a number indicates that a new value should be an array
+ * @returns {*}
+ */
+var cloneForWrite = function (val, nextKey) {
+  if (typeof val === "object" && val !== null) {
+    return _.clone(val);
+  }
+  return typeof nextKey === "number" ? [] : {};
+};
+
+/**
+ * Apply attributes that may be keyed by nested paths onto a copy of an attributes object, without modifying any of the
+ * nested objects of the original
+ * @param attributes the original attributes
+ * @param attrs attributes keyed by path
+ * @returns {*} the copy with the attributes applied
+ */
+var applyPaths = function (attributes, attrs) {
+  var result = _.clone(attributes) || {};
+  _.each(attrs, function (value, path) {
+    var keys = attributePath.parse(path);
+    var ptr = result;
+    for (var i = 0; i < keys.length - 1; i++) {
+      ptr[ keys[ i ] ] = cloneForWrite(ptr[ keys[ i ] ], keys[ i + 1 ]);
+      ptr = ptr[ keys[ i ] ];
+    }
+    ptr[ keys[ keys.length - 1 ] ] = value;
+  });
+  return result;
+};
+
+/**
+ * Make a request through one of Backbone's methods that accept success and error callbacks, and return a promise that
+ * is resolved with the model or collection, or rejected with a SyncError
+ * The promise has a 'cancel' function that aborts the request and rejects the promise with an aborted SyncError
+ * @param target the model or collection making the request
+ * @param options the options of the request, the success and error callbacks in them are still called
+ * @param send function that is passed the options and makes the request, returning the underlying request object
+ * @returns {Promise}
+ */
+var promiseSync = function (target, options, send) {
+  options = _.extend({}, options);
+  var request = null;
+  var aborted = false;
+  var rejectRequest;
+
+  var promise = new Promise(function (resolve, reject) {
+    rejectRequest = reject;
+    var success = options.success;
+    var error = options.error;
+
+    options.success = function () {
+      if (typeof success === "function") {
+        success.apply(this, arguments);
+      }
+      resolve(target);
+    };
+    // the request succeeded but its response was ignored, see ReactBackbone.Model#sync
+    options.superseded = function () {
+      resolve(target);
+    };
+    options.error = function (obj, response, errorOptions) {
+      if (typeof error === "function") {
+        error.apply(this, arguments);
+      }
+      var wasAborted = aborted || (errorOptions && errorOptions.textStatus === "abort");
+      var syncError = SyncError.fromResponse(response, wasAborted);
+      syncError.queued = Boolean(errorOptions && errorOptions.errorThrown && errorOptions.errorThrown.queued);
+      reject(syncError);
+    };
+
+    request = send(options);
+    if (request && typeof request.then === "function") {
+      // rejected with the exception if a callback throws, otherwise the callbacks have already settled the promise
+      request.then(null, reject);
+    }
+  });
+
+  promise.cancel = function () {
+    if (!aborted) {
+      aborted = true;
+      if (request && typeof request.abort === "function") {
+        request.abort();
+      }
+      rejectRequest(SyncError.fromResponse(null, true));
+    }
+    return promise;
+  };
+  return promise;
+};
+
+/**
+ * Run functions that return promises, at most 'limit' at a time
+ * @param tasks array of functions that return promises
+ * @param limit the maximum number of promises that are pending at a time
+ * @returns {Promise} resolved with an array of { value } or { error } for each task, in the order of the tasks
+ */
+var runLimited = function (tasks, limit) {
+  return new Promise(function (resolve) {
+    var results = new Array(tasks.length);
+    var next = 0, done = 0;
+    var startNext = function () {
+      if (done === tasks.length) {
+        resolve(results);
+        return;
+      }
+      if (next >= tasks.length) {
+        return;
+      }
+      var index = next++;
+      var settle = function (result) {
+        results[ index ] = result;
+        done++;
+        startNext();
+      };
+      Promise.resolve().then(tasks[ index ]).then(function (value) {
+        settle({ value: value });
+      }, function (error) {
+        settle({ error: error });
+      });
+    };
+    for (var i = 0; i < Math.max(1, limit); i++) {
+      startNext();
+    }
+  });
+};
+
+/**
+ * Trigger 'rollback' with (model, error, { operation }) after an optimistic change was rolled back, where the operation
+ * is "save", "destroy" or "create". It is triggered on the collection as well if the model is no longer in it
+ * @param model the model whose change was rolled back
+ * @param error the error the request failed with
+ * @param operation the operation that was rolled back
+ * @param collection the collection the model was in, if any
+ */
+var triggerRollback = function (model, error, operation, collection) {
+  var options = { operation: operation };
+  model.trigger("rollback", model, error, options);
+  if (collection && collection.get(model) !== model) {
+    collection.trigger("rollback", model, error, options);
+  }
+};
+
+/**
+ * Track a request of a model or collection, whose state is exposed by the requestState methods. When the request
+ * completes, 'abort' is triggered with (target, error, { operation }) if it was aborted, including when it was
+ * superseded, and then 'settled' is triggered with (target, error, { operation }) where the error is null on success
+ * @param target the model or collection
+ * @param operation "fetch", "save" or "destroy"
+ * @param promise the promise of the request
+ * @returns {Promise} the promise
+ */
+var trackRequest = function (target, operation, promise) {
+  var pending = target._pendingRequests || (target._pendingRequests = { fetch: 0, save: 0, destroy: 0 });
+  var options = { operation: operation };
+  pending[ operation ]++;
+  promise.then(function () {
+    pending[ operation ]--;
+    target._lastError = null;
+    target._lastSyncedAt = new Date();
+    target.trigger("settled", target, null, options);
+  }, function (error) {
+    pending[ operation ]--;
+    if (error && error.aborted) {
+      target.trigger("abort", target, error, options);
+    } else {
+      target._lastError = error;
+    }
+    target.trigger("settled", target, error, options);
+  });
+  return promise;
+};
+
+// map from CRUD to HTTP methods
+var methodMap = {
+  "create": "POST",
+  "update": "PUT",
+  "patch": "PATCH",
+  "delete": "DELETE",
+  "read": "GET"
+};
+
+// the OfflineQueue that the writes of a model or collection are added to, if any
+var getOfflineQueue = function (model, options) {
+  var queue = options && typeof options.offlineQueue !== "undefined" ? options.offlineQueue :
+    (model.offlineQueue || (model.collection && model.collection.offlineQueue));
+  return queue instanceof OfflineQueue ? queue : null;
+};
+
+/**
+ * Replacement for Backbone.sync that sends the request through ReactBackbone.transport, so it works with any transport
+ * The 'data' option is sent as query parameters for reads, 'params' as query parameters for every method, and 'headers'
+ * as request headers. When the response arrives, options.xhr is set to the normalized response before the success or
+ * error callback is called
+ * The 'emulateHTTP' and 'emulateJSON' options, defaulting to ReactBackbone.emulateHTTP and ReactBackbone.emulateJSON,
+ * work as they do in Backbone.sync
+ * Requests pass through ReactBackbone.interceptors and then the 'interceptors' of the model or collection, see
+ * interceptors.js
+ * Reads are sent through the 'cache' option if it is a QueryCache, and 'revalidated' is called with the response when
+ * a stale response was used and has been updated
+ * Failed requests are retried according to the 'retry' option or property, see retry.js, and writes that fail without a
+ * response are added to the 'offlineQueue' option or property of the model or its collection, see offline-queue.js
+ * @param method the CRUD method
+ * @param model the model or collection
+ * @param options the request options
+ * @returns {Promise} settled like the promise returned by the transport, or rejected with the exception thrown by the
+ * success or error callback, which can be aborted
+ */
+ReactBackbone.sync = function (method, model, options) {
+  options = _.defaults(options || {}, {
+    emulateHTTP: ReactBackbone.emulateHTTP,
+    emulateJSON: ReactBackbone.emulateJSON
+  });
+  var request = {
+    method: methodMap[ method ],
+    url: options.url || _.result(model, "url"),
+    query: _.extend({}, options.params),
+    headers: _.extend({}, options.headers),
+    body: undefined
+  };
+  if (!request.url) {
+    throw new Error("A \"url\" property or function must be specified");
+  }
+
+  var data = options.data;
+  if ((data === null || typeof data === "undefined") && model && method !== "read" && method !== "delete") {
+    data = options.attrs || model.toJSON(options);
+  }
+  if (data !== null && typeof data !== "undefined") {
+    if (method === "read") {
+      request.query = _.isObject(data) ? _.extend(request.query, data) : data;
+    } else {
+      request.body = typeof data === "string" ? data : JSON.stringify(data);
+      request.headers[ "Content-Type" ] = request.headers[ "Content-Type" ] || "application/json";
+    }
+  }
+
+  // for older servers, send the body as a form and the method as a POST with the real method in a header
+  var form = null;
+  if (options.emulateJSON && method !== "read") {
+    form = typeof request.body !== "undefined" ? { model: request.body } : {};
+  }
+  if (options.emulateHTTP && _.contains([ "PUT", "DELETE", "PATCH" ], request.method)) {
+    if (form) {
+      form._method = request.method;
+    }
+    request.headers[ "X-HTTP-Method-Override" ] = request.method;
+    request.method = "POST";
+  }
+  if (form) {
+    request.body = transport.serializeQuery(form);
+    request.headers[ "Content-Type" ] = "application/x-www-form-urlencoded";
+  }
+
+  var send = ReactBackbone.transport;
+  var retryPolicy = typeof options.retry !== "undefined" ? options.retry : model.retry;
+  if (retryPolicy) {
+    send = retry.wrap(send, retryPolicy);
+  }
+  var requestInterceptors = ReactBackbone.interceptors.list().concat(model.interceptors || []);
+  if (requestInterceptors.length > 0) {
+    send = interceptors.wrap(send, requestInterceptors, { model: model, method: method });
+  }
+  var offlineQueue = getOfflineQueue(model, options);
+  if (method !== "read" && offlineQueue) {
+    send = offlineQueue.wrap(send, model);
+  }
+
+  var pending = (method === "read" && options.cache instanceof QueryCache) ?
+    options.cache.send(request, send, options.revalidated) : send(request);
+  options.xhr = pending;
+
+  // settles like the transport promise, but is rejected if a callback throws, e.g. when parse or set fails
+  var result = new Promise(function (resolve, reject) {
+    pending.then(function (response) {
+      options.xhr = response;
+      try {
+        if ((response.status >= 200 && response.status < 300) || response.status === 304) {
+          options.textStatus = "success";
+          if (typeof options.success === "function") {
+            options.success(response.body, "success", response);
+          }
+        } else {
+          options.textStatus = "error";
+          if (typeof options.error === "function") {
+            options.error(response, "error");
+          }
+        }
+      } catch (e) {
+        reject(e);
+        return;
+      }
+      resolve(response);
+    }, function (error) {
+      var aborted = Boolean(error && error.aborted);
+      options.textStatus = aborted ? "abort" : "error";
+      options.errorThrown = error;
+      try {
+        if (typeof options.error === "function") {
+          // errors thrown by response interceptors carry the response they rejected
+          var response = (error && error.response) || transport.createResponse(0, null, "");
+          options.error(response, options.textStatus, error);
+        }
+      } catch (e) {
+        reject(e);
+        return;
+      }
+      reject(error);
+    });
+  });
+  result.abort = function () {
+    if (typeof pending.abort === "function") {
+      pending.abort();
+    }
+  };
+
+  model.trigger("request", model, pending, options);
+  return result;
+};
+
+// the function that sends requests, see transport.js for the interface and the built in transports
+ReactBackbone.transport = transport.auto;
+ReactBackbone.transports = _.pick(transport, [
+  "auto", "ajax", "fetch", "createFetchTransport", "createResponse", "serializeQuery"
+]);
+
+/**
+ * Whether JSON should be encoded with JSOG, the 'jsog' option overrides the 'jsog' property of the model or collection
+ * @param obj model or collection
+ * @param options options passed to toJSON
+ * @returns {boolean}
+ */
+var shouldEncodeJsog = function (obj, options) {
+  return (options && typeof options.jsog === "boolean") ? options.jsog : Boolean(obj.jsog);
+};
+
+// model -> the attributes parsed by its constructor, which are merged into the instance stored in the identity map
+var parsedAttributes = new WeakMap();
+
+/**
+ * Return the instance stored in the identity map for a newly created model, merging the attributes the model was created
+ * with into the stored instance
+ * @param model the newly created model
+ * @param attrs the attributes the model was created with
+ * @param options the options the model was created with
+ * @returns {*} the stored instance, or the model if the model does not use an identity map
+ */
+var resolveIdentity = function (model, attrs, options) {
+  if (!model || !model.identityMap) {
+    return model;
+  }
+  // the attributes were parsed once by the constructor
+  var parsed = (options && options.parse) ? parsedAttributes.get(model) : attrs;
+  var existing = model.identityMap.register(model);
+  if (existing !== model) {
+    existing.set(parsed, _.omit(options, "parse", "collection"));
+  }
+  return existing;
+};
+
 /**
  * We extend the Model to serve the following purposes:
  * 1. 'get' function can accept an attribute path that is separated by periods, e.g.
  * token.user.name gives you the attribute located at { token: { user: { name: "example-name" } } }
+ *  Paths can also address array items, e.g. items.0.name or items[0].name, and keys that contain periods, e.g.
+ *  "domains.example\\.com" or 'domains["example.com"]'. 'has' and 'unset' accept the same paths
  *
  * 2. 'set' function can accept attribute paths that are separated by periods, e.g. token.user.name can be set via
  * the following call: model.set({ "token.user.name": "example-name" }), OR model.set("token.user.name", "example-name")
- *  NOTE: setting a nested attribute triggers a change on the nested attribute, e.g. change:token.user.name
- *  BUT will not trigger a change event on token, or token.user even if token and user objects had to be created
+ *  NOTE: setting a nested attribute triggers a change on the nested attribute, e.g. change:token.user.name, as well as
+ *  on each of its ancestors, i.e. change:token.user and change:token
+ *  Setting an object attribute, e.g. model.set("token", { user: { name: "example-name" } }), triggers a change on every
+ *  nested path whose value actually changed, e.g. change:token.user.name
+ *
+ * 3. Parsing of objects uses JSOG, and if the 'jsog' property is true, toJSON (and therefore save) encodes using JSOG
  *
- * 3. Parsing of objects uses JSOG
+ * 4. fetch, save and destroy return promises that are resolved with the model or rejected with a SyncError, including
+ * when saving a model that does not pass validation
  *
- * 4. When saving a model that does not pass validation, a promise is returned
+ * 5. If the 'identityMap' property is set to an IdentityMap, e.g. ReactBackbone.identityMap, models are registered by
+ * id. Setting a response for an id that is already registered merges it into the registered instance, and collections
+ * and the static 'findOrCreate' return the registered instance instead of creating a new one
+ *
+ * 6. Attributes declared in 'relations' are stored as nested models and collections, whose events are triggered on
+ * this model as changes to nested paths, e.g. change:owner.name
+ *
+ * 7. Attributes declared in 'schema' are coerced to their declared types when they are set or parsed
+ *
+ * 8. Rules declared in 'validation' validate nested paths and produce an error map keyed by path
+ *
+ * 9. Paths are dirty when they differ from the last server state, and can be reverted to it. Changes can be undone and
+ * redone, up to 'maxHistory' changes
+ *
+ * 10. With the 'optimistic' option, save and destroy apply the change immediately and roll it back if the request
+ * fails, unless it was added to an offline queue
+ *
+ * 11. The state of requests is exposed by isFetching, isSaving, lastError and lastSyncedAt, and the response of a fetch
+ * or save is ignored if another fetch or save was made after it
+ *
+ * 12. Requests are retried according to the 'retry' policy, and saves and destroys that fail without a response are
+ * added to the 'offlineQueue' to be sent when the connection returns
+ *
+ * 13. Requests are sent with the 'params' and 'headers' of the model, and pass through its 'interceptors'
  */
 ReactBackbone.Model = (function (oldModel) {
   var oldGet = oldModel.prototype.get;
   var oldSet = oldModel.prototype.set;
+
+  // mark the model as synced when a request succeeds, after the response was set and before the success callback
+  var syncedOnSuccess = function (model, options, attributes) {
+    var success = options.success;
+    options.success = function () {
+      model._markSynced(attributes);
+      if (typeof success === "function") {
+        success.apply(this, arguments);
+      }
+    };
+    return options;
+  };
+
   return oldModel.extend({
+    // whether toJSON encodes the attributes with JSOG so that shared and circular references are preserved
+    jsog: false,
+
+    // the IdentityMap that instances of this model are registered in, if any
+    identityMap: null,
 
-    // allow getting nested attributes via strings that are separated with a period
+    // a reference to the active fetch call
+    _activeFetch: null,
+
+    /**
+     * Send requests through ReactBackbone.sync with the params and headers. The latest request wins: the success
+     * callback is not called for a fetch or save that was followed by another fetch or save, instead the 'superseded'
+     * option is called
+     */
+    sync: function (method, model, options) {
+      options = options || {};
+      options.params = _.extend({}, this.params, options.params);
+      options.headers = _.extend({}, this.collection && this.collection.headers, this.headers, options.headers);
+      if (method !== "delete" && typeof options.success === "function") {
+        var version = this._syncVersion = (this._syncVersion || 0) + 1;
+        var success = options.success;
+        options.success = function () {
+          if (version === model._syncVersion) {
+            return success.apply(this, arguments);
+          }
+          // the response is not applied, marked as synced or triggered as 'sync', but the request still completes
+          if (typeof options.superseded === "function") {
+            options.superseded();
+          }
+        };
+      }
+      return ReactBackbone.sync.call(this, method, model, options);
+    },
+
+    /**
+     * Replace the params, triggering 'params' with the new params if they changed
+     */
+    _setParams: function (params, options) {
+      if (_.isEqual(params, this.params)) {
+        return this;
+      }
+      this.params = params;
+      if (!(options && options.silent)) {
+        this.trigger("params", this, this.params, options);
+      }
+      return this;
+    },
+
+    // nested models and collections, keyed by attribute, with shape:
+    // { type: "hasOne"|"hasMany"|"belongsTo", model: Model, collection: Collection, serialize: "id"|"embed" }
+    // hasMany relations use 'collection' if given, otherwise a collection of 'model'. belongsTo relations can be set to
+    // the id of the related model, and are serialized as the id unless 'serialize' is "embed"
+    relations: null,
+
+    // the types of attributes, keyed by path, e.g. { "createdAt": "date", "address.zip": "string" }. Types are
+    // "string", "number", "boolean", "date", "moment", { type: "enum", values: [] } and { type: "object", schema: {} },
+    // see schema.js. Values are coerced to the declared type when set or parsed, and serialized back in toJSON
+    schema: null,
+
+    // validation rules keyed by path, e.g. { "address.zip": [ validators.required(), validators.pattern(/^\d{5}$/) ] }
+    // each rule is a function called with (value, attributes, path) that returns an error message, or a promise for
+    // one, when the value is invalid, see validation.js for the built in validators
+    validation: null,
+
+    // the maximum number of changes that can be undone, 0 to not keep a history
+    maxHistory: 100,
+
+    // the retry policy of requests, see ReactBackbone.retryPolicy, null to not retry
+    retry: null,
+
+    // the query parameters and headers sent with every request of the model. The headers of its collection are also
+    // sent, unless the model overrides them
+    params: {},
+    headers: {},
+
+    // interceptors for the requests of this model, after ReactBackbone.interceptors, see interceptors.js
+    interceptors: null,
+
+    // the OfflineQueue that saves and destroys are added to when they fail without a response, defaults to the
+    // offlineQueue of the collection
+    offlineQueue: null,
+
+    constructor: function (attributes, options) {
+      if (this.identityMap && options && options.parse) {
+        // parse here so that the parsed attributes can be merged into the registered instance, see resolveIdentity
+        attributes = this.parse(attributes, options) || {};
+        parsedAttributes.set(this, attributes);
+        options = _.extend({}, options, { parse: false });
+      }
+      oldModel.call(this, attributes, options);
+      this._markSynced();
+    },
+
+    // allow getting nested attributes via paths, see attribute-path.js for the supported syntax
     get: function (attribute) {
-      var pcs;
-      // if attribute isn't a string or is a single piece, just use the old get
-      if (typeof attribute !== "string" || (pcs = attribute.split(".")).length === 1) {
+      // if attribute isn't a path, just use the old get
+      if (typeof attribute !== "string" && !_.isArray(attribute)) {
         return oldGet.apply(this, arguments);
       }
 
-      var firstPc = pcs.shift();
-      var val = oldGet.call(this, firstPc);
+      var keys = attributePath.parse(attribute);
+      var val = oldGet.call(this, keys.shift());
 
-      var pc;
-      while (pcs.length > 0 && typeof val !== "undefined" && val !== null) {
-        pc = pcs.shift();
-        if (typeof val.get === "function") {
-          val = val.get(pc);
+      while (keys.length > 0 && typeof val !== "undefined" && val !== null) {
+        if (val instanceof OriginalBackbone.Collection) {
+          // nested collections are addressed by index
+          val = val.at(Number(keys.shift()));
+        } else if (typeof val.get === "function") {
+          val = val.get(attributePath.stringify([ keys.shift() ]));
         } else {
-          val = val[ pc ];
+          val = val[ keys.shift() ];
         }
       }
       return val;
     },
 
-    // handle setting nested attributes via strings that are separated with a period
+    // handle setting and unsetting nested attributes via paths
     set: function (key, val, options) {
       // defer to the OriginalBackbone version if we don't get an object or a string for the first argument
       if (typeof key !== "object" && typeof key !== "string") {
@@ -66,11 +668,25 @@ ReactBackbone.Model = (function (oldModel) {
       } else {
         // set(hash, options) called
         attrHash = key;
-        options = val || {};
+        options = val;
+      }
+      options = options || {};
+
+      if (options.validate && !this._validate(attrHash, options)) {
+        return false;
       }
 
-      var silentOptions = _.extend({}, options, { silent: true });
-      var triggerChange = false;
+      // the attributes were validated together above
+      var silentOptions = _.extend(_.omit(options, "validate"), { silent: true });
+      // the paths that changed, in the order that their change events are triggered
+      var changedPaths = [];
+      // changes from the server are not undone
+      var recordHistory = Boolean(this._undoStack) && !options.xhr && options.history !== false && this.maxHistory > 0;
+      var history = [];
+      // the server state has to be copied before the attributes change
+      if (!options.xhr) {
+        this._synced();
+      }
 
       // for each attribute we're setting
       _.each(attrHash, function (value, attribute) {
@@ -81,85 +697,681 @@ ReactBackbone.Model = (function (oldModel) {
             return;
           }
         }
-        var pcs = attribute.split(".");
-        var firstPc = pcs.shift();
-        var topLevelValue = _.clone(this.get(firstPc));
+        var keys = attributePath.parse(attribute);
+        if (!options.unset) {
+          value = attributeSchema.coerce(this.schema, keys, value);
+        }
+
+        var oldVal = this.get(keys);
+        if (_.isEqual(oldVal, value)) {
+          return;
+        }
+
+        var related = keys.length > 1 ? oldGet.call(this, keys[ 0 ]) : null;
+        if (related instanceof OriginalBackbone.Model || related instanceof OriginalBackbone.Collection) {
+          // nested models set their own attributes, and their events bubble up if they are declared as relations
+          var relatedKeys = keys.slice(1);
+          if (related instanceof OriginalBackbone.Collection) {
+            related = related.at(Number(relatedKeys.shift()));
+          }
+          if (related && relatedKeys.length > 0) {
+            related.set(attributePath.stringify(relatedKeys), value, options);
+            history.push({ keys: keys, before: oldVal, after: value });
+          }
+          return;
+        }
 
-        if (pcs.length > 0) {
-          // nested set
-          var toSet = topLevelValue;
-          if (typeof toSet !== "object") {
-            toSet = {};
+        var relation = (keys.length === 1 && this.relations) ? this.relations[ keys[ 0 ] ] : null;
+        if (relation) {
+          value = this._prepareRelated(keys[ 0 ], relation, value, oldVal, options);
+          // the value was merged into the existing model or collection, whose events bubble up
+          if (value === oldVal) {
+            return;
           }
+        }
+        history.push({ keys: keys, before: oldVal, after: value });
 
+        if (keys.length > 1) {
+          // nested set, copy each object along the path so that objects are never reused
+          var toSet = cloneForWrite(oldGet.call(this, keys[ 0 ]), keys[ 1 ]);
           var ptr = toSet;
+          for (var i = 1; i < keys.length - 1; i++) {
+            ptr[ keys[ i ] ] = cloneForWrite(ptr[ keys[ i ] ], keys[ i + 1 ]);
+            ptr = ptr[ keys[ i ] ];
+          }
 
-          while (pcs.length > 1) {
-            var nextPc = pcs.shift();
-            if (typeof ptr[ nextPc ] !== "object") {
-              ptr[ nextPc ] = {};
+          var lastKey = keys[ keys.length - 1 ];
+          if (options.unset) {
+            if (_.isArray(ptr) && typeof lastKey === "number") {
+              ptr.splice(lastKey, 1);
             } else {
-              ptr[ nextPc ] = _.clone(ptr[ nextPc ]);
+              delete ptr[ lastKey ];
             }
-            ptr = ptr[ nextPc ];
+          } else {
+            ptr[ lastKey ] = value;
           }
 
-          var lastPc = pcs.shift();
+          // only the nested value is unset, the top level attribute is set to the modified copy
+          oldSet.call(this, keys[ 0 ], toSet, _.omit(silentOptions, "unset"));
+        } else {
+          // setting a top level attribute
+          oldSet.call(this, keys[ 0 ], value, silentOptions);
+        }
 
-          var oldVal = this.get(attribute);
-          if (_.isEqual(oldVal, value)) {
-            return;
-          }
-          triggerChange = true;
+        // the attribute and every nested path that changed below it, followed by each of its ancestors
+        changedPaths = changedPaths.concat(collectChangedPaths(oldVal, value, keys, []));
+        for (var depth = keys.length - 1; depth > 0; depth--) {
+          changedPaths.push(attributePath.stringify(keys.slice(0, depth)));
+        }
+      }, this);
+
+      if (changedPaths.length > 0) {
+        _.each(_.uniq(changedPaths), function (path) {
+          this.trigger("change:" + path, this, this.get(path), options);
+        }, this);
+        this.trigger("change", this, options);
+      }
 
-          ptr[ lastPc ] = value;
+      if (recordHistory && history.length > 0) {
+        this._undoStack = this._undoStack.concat([ history ]).slice(-this.maxHistory);
+        this._redoStack = [];
+      }
+      // the server state of the attributes that were set from a response, e.g. when a collection is fetched
+      if (options.xhr && this._syncedAttributes) {
+        this._markSynced(_.map(_.keys(attrHash), function (attribute) {
+          return attributePath.parse(attribute)[ 0 ];
+        }));
+      }
 
-          oldSet.call(this, firstPc, toSet, silentOptions);
-          this.trigger("change:" + attribute, this, value, options);
+      if (this.identityMap) {
+        var registered = this.identityMap.register(this);
+        // a response for an id that is registered to another instance is merged into that instance
+        if (registered !== this && options.xhr) {
+          registered.set(attrHash, options);
+        }
+      }
+      return this;
+    },
+
+    /**
+     * Record the current attributes as the server state, which clears the history unless only some of the attributes
+     * are synced
+     * @param attributes optional names of the top level attributes that are synced, all of them if not given
+     */
+    _markSynced: function (attributes) {
+      if (!attributes) {
+        // copied when it is first needed, except for models with relations, whose nested models change without set
+        this._syncedAttributes = this.relations ? plainValue(this.attributes) : null;
+        this.clearHistory();
+        return;
+      }
+      var synced = _.clone(this._synced());
+      _.each(attributes, function (attribute) {
+        if (_.has(this.attributes, attribute)) {
+          synced[ attribute ] = plainValue(this.attributes[ attribute ]);
         } else {
-          // setting a top level attribute
-          if (_.isEqual(value, topLevelValue)) {
-            return;
+          delete synced[ attribute ];
+        }
+      }, this);
+      this._syncedAttributes = synced;
+    },
+
+    // the last server state, copied from the attributes if they have not changed since it was recorded
+    _synced: function () {
+      if (this._syncedAttributes === null) {
+        this._syncedAttributes = plainValue(this.attributes);
+      }
+      return this._syncedAttributes;
+    },
+
+    /**
+     * Whether a path differs from the last server state, or whether any attribute does if no path is given
+     * @param path optional path
+     * @returns {boolean}
+     */
+    isDirty: function (path) {
+      if (typeof path === "undefined" || path === null) {
+        return this.dirtyPaths().length > 0;
+      }
+      var keys = attributePath.parse(path);
+      return !_.isEqual(plainValue(this.get(keys)), valueAt(this._synced(), keys));
+    },
+
+    /**
+     * Get the most nested paths whose values differ from the last server state
+     * @returns {Array} the canonical paths
+     */
+    dirtyPaths: function () {
+      var paths = collectChangedPaths(this._synced(), plainValue(this.attributes), [], []);
+      return _.filter(paths, function (path) {
+        return path !== "" && !_.some(paths, function (other) {
+          return other.indexOf(path + ".") === 0;
+        });
+      });
+    },
+
+    /**
+     * Set a path back to its last server state, or every attribute if no path is given - can be chained
+     * @param path optional path
+     * @param options set options
+     * @returns {ReactBackbone.Model}
+     */
+    revert: function (path, options) {
+      if (typeof path === "undefined" || path === null) {
+        var synced = this._synced();
+        var attrs = {};
+        _.each(_.union(_.keys(this.attributes), _.keys(synced)), function (attribute) {
+          if (!_.isEqual(plainValue(this.attributes[ attribute ]), synced[ attribute ])) {
+            attrs[ attributePath.stringify([ attribute ]) ] = synced[ attribute ];
           }
-          triggerChange = true;
-          oldSet.call(this, firstPc, value, silentOptions);
-          this.trigger("change:" + firstPc, this, value, options);
+        }, this);
+        return this._setOrUnset(attrs, options);
+      }
+      var keys = attributePath.parse(path);
+      var value = {};
+      value[ attributePath.stringify(keys) ] = valueAt(this._synced(), keys);
+      return this._setOrUnset(value, options);
+    },
+
+    // set the attributes by path, unsetting those whose value is undefined
+    _setOrUnset: function (attrs, options) {
+      var toSet = _.omit(attrs, _.isUndefined);
+      _.each(_.keys(attrs), function (path) {
+        if (!_.has(toSet, path)) {
+          this.unset(path, options);
         }
       }, this);
+      if (!_.isEmpty(toSet)) {
+        this.set(toSet, options);
+      }
+      return this;
+    },
 
-      if (triggerChange) {
-        this.trigger("change", this, options);
+    /**
+     * Undo the last change that was set, can be chained
+     * @param options set options
+     * @returns {ReactBackbone.Model}
+     */
+    undo: function (options) {
+      var changes = _.last(this._undoStack);
+      if (changes) {
+        this._undoStack = _.initial(this._undoStack);
+        this._applyHistory(changes.slice().reverse(), "before", options);
+        this._redoStack = this._redoStack.concat([ changes ]);
+      }
+      return this;
+    },
+
+    /**
+     * Redo the last change that was undone, can be chained
+     * @param options set options
+     * @returns {ReactBackbone.Model}
+     */
+    redo: function (options) {
+      var changes = _.last(this._redoStack);
+      if (changes) {
+        this._redoStack = _.initial(this._redoStack);
+        this._applyHistory(changes, "after", options);
+        this._undoStack = this._undoStack.concat([ changes ]);
       }
       return this;
     },
 
+    _applyHistory: function (changes, which, options) {
+      options = _.extend({}, options, { history: false });
+      _.each(changes, function (change) {
+        var attrs = {};
+        attrs[ attributePath.stringify(change.keys) ] = change[ which ];
+        this._setOrUnset(attrs, options);
+      }, this);
+    },
+
+    /**
+     * Whether there is a change that can be undone
+     * @returns {boolean}
+     */
+    canUndo: function () {
+      return this._undoStack.length > 0;
+    },
+
+    /**
+     * Whether there is a change that can be redone
+     * @returns {boolean}
+     */
+    canRedo: function () {
+      return this._redoStack.length > 0;
+    },
+
+    /**
+     * Forget the changes that can be undone and redone, can be chained
+     * @returns {ReactBackbone.Model}
+     */
+    clearHistory: function () {
+      this._undoStack = [];
+      this._redoStack = [];
+      return this;
+    },
+
+    /**
+     * Turn the value set for a relation into the model or collection that is stored in the attribute
+     * @param key the attribute of the relation
+     * @param relation the declaration of the relation
+     * @param value the value being set
+     * @param current the model or collection currently stored in the attribute
+     * @param options the set options
+     * @returns {*} the model or collection to store, or current if the value was merged into it
+     */
+    _prepareRelated: function (key, relation, value, current, options) {
+      var isInstance = value instanceof OriginalBackbone.Model || value instanceof OriginalBackbone.Collection;
+      var relatedOptions = _.omit(options, "unset", "parse", "collection");
+      var related;
+
+      if (value === null || typeof value === "undefined" || isInstance) {
+        related = value;
+      } else if (relation.type === "hasMany") {
+        // the records are embedded in this model, they are not a page of the server
+        var collectionOptions = { parse: options.parse, embedded: true };
+        if (current instanceof OriginalBackbone.Collection) {
+          current.set(value, _.extend({}, relatedOptions, collectionOptions));
+          return current;
+        }
+        var RelatedCollection = relation.collection || ReactBackbone.Collection.extend({ model: relation.model });
+        related = new RelatedCollection(value, collectionOptions);
+      } else {
+        var Type = relation.model;
+        var attrs = value;
+        var parse = Boolean(options.parse);
+        // belongsTo relations may be set to the id of the related model
+        if (!_.isObject(attrs)) {
+          attrs = {};
+          attrs[ Type.prototype.idAttribute ] = value;
+          parse = false;
+        } else if (parse && current instanceof OriginalBackbone.Model) {
+          // parsed by the current model so that the ids can be compared
+          attrs = current.parse(attrs, relatedOptions) || {};
+          parse = false;
+        }
+
+        var currentId = current instanceof OriginalBackbone.Model ? current.id : undefined;
+        var newId = attrs[ Type.prototype.idAttribute ];
+        if (current instanceof OriginalBackbone.Model && (newId === currentId || (relation.type === "hasOne" &&
+          (newId === null || typeof newId === "undefined")))) {
+          current.set(attrs, relatedOptions);
+          return current;
+        }
+        related = typeof Type.findOrCreate === "function" ? Type.findOrCreate(attrs, { parse: parse }) :
+          new Type(attrs, { parse: parse });
+      }
+
+      if (current instanceof OriginalBackbone.Model || current instanceof OriginalBackbone.Collection) {
+        this.stopListening(current);
+      }
+      if (related) {
+        this.listenTo(related, "all", _.partial(this._onRelatedEvent, key, related));
+      }
+      return related;
+    },
+
+    /**
+     * Trigger the events of a related model or collection as changes to paths under the attribute of the relation, e.g.
+     * change:name on the 'owner' relation becomes change:owner.name, and a change to the first model of the 'tasks'
+     * relation becomes change:tasks.0 followed by change:tasks
+     */
+    _onRelatedEvent: function (key, related, eventName) {
+      var args = _.rest(arguments, 3);
+      var keys = [ key ];
+
+      if (related instanceof OriginalBackbone.Collection) {
+        // sorts that are part of a set are followed by an update event
+        var sortOnly = eventName === "sort" && !_.has(_.last(args) || {}, "add");
+        if (eventName === "update" || eventName === "reset" || sortOnly) {
+          this.trigger("change:" + attributePath.stringify(keys), this, related, _.last(args));
+          this.trigger("change", this, _.last(args));
+          return;
+        }
+        if (eventName.indexOf("change") !== 0 || related.indexOf(args[ 0 ]) === -1) {
+          return;
+        }
+        keys.push(related.indexOf(args[ 0 ]));
+      }
+
+      if (eventName === "change") {
+        for (var depth = keys.length; depth > 0; depth--) {
+          var path = attributePath.stringify(keys.slice(0, depth));
+          this.trigger("change:" + path, this, this.get(path), args[ 1 ]);
+        }
+        this.trigger("change", this, args[ 1 ]);
+      } else if (eventName.indexOf("change:") === 0) {
+        var nestedPath = attributePath.stringify(keys) + "." + eventName.substring("change:".length);
+        this.trigger("change:" + nestedPath, this, args[ 1 ], args[ 2 ]);
+      }
+    },
+
     // decode all responses using JSOG
     parse: function (response, options) {
       return _.isObject(response) ? jsogDecode(response) : response;
     },
 
-    // failed validation methods should return a promise
-    save: function (attributes, options) {
-      var toReturn = oldModel.prototype.save.apply(this, arguments);
-      if (toReturn === false) {
-        return new Promise(function (resolve, reject) {
-          reject(this, false, options);
+    // encode using JSOG if enabled, the 'jsog' option can be passed to override the property
+    toJSON: function (options) {
+      var json = oldModel.prototype.toJSON.apply(this, arguments);
+      var jsog = shouldEncodeJsog(this, options);
+
+      // serialize related models either as ids or as embedded objects
+      _.each(this.relations, function (relation, key) {
+        var related = json[ key ];
+        if (!(related instanceof OriginalBackbone.Model || related instanceof OriginalBackbone.Collection)) {
+          return;
+        }
+        var serialize = relation.serialize || (relation.type === "belongsTo" ? "id" : "embed");
+        if (serialize === "id") {
+          json[ key ] = related instanceof OriginalBackbone.Collection ? _.pluck(related.models, "id") : related.id;
+        } else if (!jsog) {
+          // when encoding with JSOG, the related models are left in place so they are identified in the graph
+          json[ key ] = related.toJSON(_.extend({}, options, { jsog: false }));
+        }
+      });
+
+      json = attributeSchema.serialize(this.schema, json);
+      return jsog ? jsogEncode(json) : json;
+    },
+
+    /**
+     * Run the rules in 'validation' and return the errors of the synchronous rules. The results of asynchronous rules
+     * are ignored, they are checked by validateAsync, which is what save uses
+     * @param attrs the attributes to validate, which may contain keys that are nested paths
+     * @returns {*} the error map keyed by path if any of the rules fail
+     */
+    validate: function (attrs, options) {
+      if (!this.validation) {
+        return;
+      }
+      var result = validation.run(this.validation, applyPaths({}, attrs), this);
+      _.each(result.pending, function (pending) {
+        // not waited for, so a rejection is not reported
+        pending.then(null, _.noop);
+      });
+      return _.isEmpty(result.errors) ? undefined : result.errors;
+    },
+
+    /**
+     * Run all the rules in 'validation', including asynchronous rules. Triggers 'validated' with the error map, and
+     * 'invalid' if there are any errors
+     * @param attrs the attributes to validate, defaults to the attributes of the model
+     * @param options 'paths' can be passed to validate only some paths, keeping the errors of the other paths
+     * @returns {Promise} resolved with the error map keyed by path, which is empty if the attributes are valid
+     */
+    validateAsync: function (attrs, options) {
+      options = options || {};
+      var model = this;
+      var result = validation.run(this.validation, attrs || this.attributes, this, options.paths);
+
+      return Promise.all(result.pending).then(function () {
+        var errors = result.errors;
+        if (options.paths) {
+          var validatedPaths = _.map(options.paths, function (path) {
+            return attributePath.stringify(attributePath.parse(path));
+          });
+          errors = _.extend(_.omit(model.getErrors(), validatedPaths), errors);
+        }
+        model.validationError = _.isEmpty(errors) ? null : errors;
+        model.trigger("validated", model, errors, options);
+        if (model.validationError) {
+          model.trigger("invalid", model, errors, options);
+        }
+        return errors;
+      });
+    },
+
+    /**
+     * Get the errors of the last validation
+     * @param path optional path to get the errors of
+     * @returns {*} the array of error messages for the path, or the error map if no path is given
+     */
+    getErrors: function (path) {
+      var errors = _.isObject(this.validationError) ? this.validationError : {};
+      if (typeof path === "undefined") {
+        return errors;
+      }
+      return errors[ attributePath.stringify(attributePath.parse(path)) ] || [];
+    },
+
+    /**
+     * Whether the path had no errors in the last validation
+     * @param path the path
+     * @returns {boolean}
+     */
+    isFieldValid: function (path) {
+      return this.getErrors(path).length === 0;
+    },
+
+    /**
+     * Fetch the model. Any fetch that is still active is cancelled
+     * @param options backbone fetch options
+     * @returns {Promise} resolved with the model, see promiseSync
+     */
+    fetch: function (options) {
+      if (this._activeFetch !== null) {
+        this._activeFetch.cancel();
+        this._activeFetch = null;
+      }
+      var model = this;
+      var request = promiseSync(this, options, function (options) {
+        return oldModel.prototype.fetch.call(model, syncedOnSuccess(model, options));
+      });
+      var clearActiveFetch = function () {
+        if (model._activeFetch === request) {
+          model._activeFetch = null;
+        }
+      };
+      request.then(clearActiveFetch, clearActiveFetch);
+      return trackRequest(this, "fetch", (this._activeFetch = request));
+    },
+
+    /**
+     * Save the model. If the model is invalid, the promise is rejected with a SyncError whose 'validationErrors' is the
+     * validation error of the model, which is the error map by path for the rules declared in 'validation'
+     * If the 'optimistic' option is true, the attributes are set immediately and set back if the save fails
+     * @returns {Promise} resolved with the model, see promiseSync
+     */
+    save: function (key, val, options) {
+      var attrs;
+      if (key === null || typeof key === "undefined" || typeof key === "object") {
+        attrs = key;
+        options = val;
+      } else {
+        attrs = {};
+        attrs[ key ] = val;
+      }
+      if (options && options.optimistic) {
+        return this._saveOptimistic(attrs, options);
+      }
+
+      var model = this;
+      var doSave = function (options) {
+        return promiseSync(model, options, function (options) {
+          // a patch only saves the attributes that are sent
+          var saved = options.patch && attrs ? _.map(_.keys(attrs), function (attribute) {
+            return attributePath.parse(attribute)[ 0 ];
+          }) : undefined;
+          // the 'sync' event of a save is told apart from that of a fetch by its options
+          options.operation = "save";
+          var request = oldModel.prototype.save.call(model, attrs, syncedOnSuccess(model, options, saved));
+          if (request === false) {
+            throw SyncError.invalid(model.validationError);
+          }
+          return request;
         });
+      };
+
+      // asynchronous rules have to run before the save
+      if (this.validation && !(options && options.validate === false)) {
+        var request = null;
+        var cancelled = false;
+        var promise = this.validateAsync(applyPaths(this.attributes, attrs), options).then(function (errors) {
+          if (!_.isEmpty(errors)) {
+            throw SyncError.invalid(errors);
+          }
+          if (cancelled) {
+            throw SyncError.fromResponse(null, true);
+          }
+          // already validated, including the asynchronous rules
+          return (request = doSave(_.extend({}, options, { validate: false })));
+        });
+        promise.cancel = function () {
+          cancelled = true;
+          if (request) {
+            request.cancel();
+          }
+          return promise;
+        };
+        return trackRequest(this, "save", promise);
       }
-      return toReturn;
+      return trackRequest(this, "save", doSave(options));
+    },
+
+    /**
+     * Set the attributes before saving them, and set the paths back to their previous values if the save fails and
+     * they still have the values that were set
+     */
+    _saveOptimistic: function (attrs, options) {
+      var model = this;
+      var previous = {};
+      _.each(attrs, function (value, path) {
+        previous[ path ] = this.get(path);
+      }, this);
+      options = _.extend(_.omit(options, "optimistic"), { wait: false });
+      var undoStack = this._undoStack;
+      this.set(attrs, _.omit(options, "validate"));
+      // the change that can be undone, which is forgotten if it is rolled back
+      var change = this._undoStack !== undoStack ? _.last(this._undoStack) : null;
+      var applied = {};
+      _.each(attrs, function (value, path) {
+        applied[ path ] = this.get(path);
+      }, this);
+
+      var promise = this.save(attrs, options);
+      promise.then(null, function (error) {
+        if (error.queued) {
+          // the change will be sent when the connection returns
+          return;
+        }
+        var restore = {};
+        _.each(previous, function (value, path) {
+          if (_.isEqual(model.get(path), applied[ path ])) {
+            restore[ path ] = value;
+          }
+        });
+        model._setOrUnset(restore, { history: false, rollback: true });
+        if (change) {
+          model._undoStack = _.without(model._undoStack, change);
+          model._redoStack = _.without(model._redoStack, change);
+        }
+        triggerRollback(model, error, "save", model.collection);
+      });
+      return promise;
+    },
+
+    /**
+     * Destroy the model
+     * If the 'optimistic' option is true, the model is removed from its collection immediately, and added back at the
+     * same index if the request fails. Destroying a model whose create is in an offline queue removes the create
+     * @param options backbone destroy options
+     * @returns {Promise} resolved with the model, see promiseSync
+     */
+    destroy: function (options) {
+      var model = this;
+      var optimistic = Boolean(options && options.optimistic);
+      var collection = this.collection;
+      var index = collection ? collection.indexOf(this) : -1;
+      if (optimistic) {
+        options = _.extend(_.omit(options, "optimistic"), { wait: false });
+      }
+      var offlineQueue = this.isNew() ? getOfflineQueue(this, options) : null;
+      if (offlineQueue) {
+        // the model is only on the client, unless its create is still pending
+        offlineQueue.remove(this);
+      }
+
+      var promise = trackRequest(this, "destroy", promiseSync(this, options, function (options) {
+        return oldModel.prototype.destroy.call(model, options);
+      }));
+      if (optimistic) {
+        promise.then(null, function (error) {
+          if (error.queued) {
+            return;
+          }
+          if (collection && index !== -1 && !collection.get(model)) {
+            collection.add(model, { at: Math.min(index, collection.length), rollback: true });
+          }
+          triggerRollback(model, error, "destroy", collection);
+        });
+      }
+      return promise;
+    }
+  }, {
+    /**
+     * Create a model, or return the instance registered in the identity map with the same id after merging the
+     * attributes into it
+     * @param attrs attributes of the model
+     * @param options options for the model constructor
+     * @returns {ReactBackbone.Model}
+     */
+    findOrCreate: function (attrs, options) {
+      return resolveIdentity(new this(attrs, options), attrs, options);
     }
   });
 })(OriginalBackbone.Model);
 
 /**
  * We extend the Backbone Collection to serve the following purposes:
- * 1. Support both server side pagination and sorting
+ * 1. Support both server side pagination and sorting, and page the models on the client when the server is not used
  *
  * 2. Support fetching with query parameters
  *
- * 3. Parse responses using JSOG
+ * 3. Parse responses using JSOG, and if the 'jsog' property is true, encode the collection with JSOG when saving
+ *
+ * 4. Share model instances with other collections if the model uses an identity map
+ *
+ * 5. Sort attributes by the types declared in the schema of the model, guessing the type of undeclared attributes
+ *
+ * 6. fetch and save return promises that are resolved with the collection or rejected with a SyncError
+ *
+ * 7. Append or prepend pages of a server side collection with loadMore and loadPrevious, for infinite scrolling
+ *
+ * 8. Optionally cache the responses of fetches by request with a QueryCache
+ *
+ * 9. Filter by attribute paths, on the server when the collection is server side and on the client otherwise
+ *
+ * 10. Sort by up to maxSorts attributes, toggled like column headers, with custom comparators and locale aware
+ * comparison of strings
+ *
+ * 11. Track the models that are added, changed and removed, and save only those changes
+ *
+ * 12. With the 'optimistic' option, create adds the model immediately and removes it if the request fails, unless it
+ * was added to an offline queue
+ *
+ * 13. Encode the page, sorts and params in the query string of the url, and restore them from it
+ *
+ * 14. Trigger 'params', 'sorts', 'filter' and 'page' when the state used to fetch changes, and if 'autoFetch' is true,
+ * fetch when it changes
+ *
+ * 15. The state of requests is exposed by isFetching, isSaving, lastError and lastSyncedAt
+ *
+ * 16. Requests are retried according to the 'retry' policy, and saves that fail without a response are added to the
+ * 'offlineQueue' to be sent when the connection returns
+ *
+ * 17. Requests are sent with the 'headers' of the collection, and pass through its 'interceptors'
  */
 ReactBackbone.Collection = (function (oldCollection) {
+  var defaultPagination = pagination.offset();
+
+  // created when first used, since collators are expensive to create
+  var collator = null;
+  var defaultCollator = function () {
+    return collator || (collator = new Intl.Collator(undefined, { sensitivity: "accent" }));
+  };
+
   return oldCollection.extend({
     // do not use Backbone's Model
     model: ReactBackbone.Model,
@@ -174,22 +1386,71 @@ ReactBackbone.Collection = (function (oldCollection) {
     countParam: "count",
     sortParam: "sort",
     sortSeparator: "|",
+    filterParam: "filter",
+    filterSeparator: "|",
 
     // header expected in the response for the total number of records for a server collection
     totalRecordsHeader: "X-Total-Count",
 
-    // the applied sorts
+    // the strategy used to request pages and read the records and total from responses, see pagination.js
+    // defaults to offset pagination using startParam, countParam and totalRecordsHeader
+    pagination: null,
+
+    // whether toJSON encodes the collection with JSOG so that references shared between models are preserved
+    jsog: false,
+
+    // the applied sorts, copied onto each instance
     // each sort is represented as an object with shape { attribute: string, desc: boolean }
     sorts: [],
     // the maximum size of the sorts array
     maxSorts: 3,
 
+    // comparators for attributes that are not sorted by their type, by attribute path
+    // each comparator is called with (valueA, valueB, modelA, modelB) and returns a negative number, 0 or a positive number
+    sortComparators: {},
+
+    // the Intl.Collator used to compare strings, defaults to a case insensitive collator for the default locale
+    collator: null,
+
+    // the applied filters, see filters.js for the operators
+    // each filter is represented as an object with shape { path: string, operator: string, value: * }
+    filters: [],
+
     // the additional query parameters to use for fetching
     params: {},
 
     // the headers that should be added onto the request
     headers: {},
 
+    // interceptors for the requests of this collection, after ReactBackbone.interceptors, see interceptors.js
+    interceptors: null,
+
+    // how save sends the collection: "replace" PUTs every model, "bulk" sends one PATCH with the changes since the
+    // last save as { create, update, delete }, and "each" sends a request per changed model, at most saveConcurrency
+    // at a time
+    saveStrategy: "replace",
+    saveConcurrency: 4,
+
+    // a QueryCache that stores the responses of fetches, so that pages and sorts that were already fetched are not
+    // fetched again. Responses are invalidated when a model in the collection is saved or destroyed
+    cache: null,
+
+    // the retry policy of requests, see ReactBackbone.retryPolicy, null to not retry
+    retry: null,
+
+    // the OfflineQueue that saves of the collection and its models are added to when they fail without a response
+    offlineQueue: null,
+
+    // the maximum number of models retained by loadMore and loadPrevious, null for no maximum
+    // models are removed from the opposite end of the loaded pages when it is exceeded
+    maxModels: null,
+
+    // the range of pages loaded by loadMore and loadPrevious, with shape { first: number, last: number }
+    _loadedPages: null,
+
+    // a reference to the active loadMore or loadPrevious call
+    _activeLoad: null,
+
     // internal variable storing whether the server is used for sorting and pagination - determined by
     // whether the full set of records exists on the client
     server: false,
@@ -197,99 +1458,134 @@ ReactBackbone.Collection = (function (oldCollection) {
     // a reference to the active fetch call
     _activeFetch: null,
 
+    // whether the collection is fetched automatically when its params, sorts, filters, page or page size change
+    // changes within autoFetchDelay milliseconds of each other are fetched together
+    autoFetch: false,
+    autoFetchDelay: 250,
+
+    // the timer of the scheduled automatic fetch
+    _autoFetchTimer: null,
+
+    // a reference to the last fetch call, which may have completed
+    _lastFetch: null,
+
+    // send requests through ReactBackbone.sync with the headers
+    sync: function (method, collection, options) {
+      options = options || {};
+      options.headers = _.extend({}, this.headers, options.headers);
+      return ReactBackbone.sync.call(this, method, collection, options);
+    },
+
     /**
      * 'params' can be specified as an option containing an object with a list of collection parameters
      * @param options
      */
     constructor: function (options) {
+      // state of the pagination strategy, e.g. the cursors of the pages
+      this._paginationState = {};
+      // do not share the sorts declared on the prototype between instances
+      this.sorts = this.sorts.slice();
       if (options) {
         _.extend(this, _.pick(options, [ "params" ]));
       }
 
+      this.clearChanges();
       oldCollection.apply(this, arguments);
     },
 
     /**
-     * Getter for whether the collection is currently server side
-     * @returns {boolean}
+     * Track the changes of the models and invalidate the cache when a model is saved or destroyed, before the event is
+     * triggered on the collection. A fetch of a model does not invalidate the cache
      */
-    isServerSide: function () {
-      return this.server;
+    _onModelEvent: function (event, model, collection, options) {
+      if (event === "change") {
+        // the options are the argument after the model
+        this._trackModified(model, collection);
+      } else if (event === "add" || event === "remove") {
+        this._trackRemoved(model, collection, options);
+      } else if (event === "sync") {
+        // the model was saved or fetched on its own
+        this._clearChange(model);
+        if (options && (options.operation === "save" || options.operation === "destroy")) {
+          this._invalidateCache();
+        }
+      } else if (event === "destroy") {
+        this._invalidateCache();
+      }
+      return oldCollection.prototype._onModelEvent.apply(this, arguments);
     },
 
     /**
-     * Reset the parameters used to fetch the collection, can be chained
-     * @returns {ReactBackbone.Collection}
+     * Invalidate the cached responses of the collection
      */
-    resetParams: function () {
-      this.params = {};
-      return this;
+    _invalidateCache: function () {
+      var url = _.result(this, "url");
+      if (this.cache && typeof url === "string") {
+        this.cache.invalidate(url.split("?")[ 0 ]);
+      }
     },
 
     /**
-     * Remove a parameter from the params object, can be chained
-     * @param key key of the parameter
-     * @returns {ReactBackbone.Collection}
+     * Getter for whether the collection is currently server side
+     * @returns {boolean}
      */
-    unsetParam: function (key) {
-      if (typeof key === "string") {
-        this.params = _.omit(this.params, key);
-        return this;
-      }
+    isServerSide: function () {
+      return this.server;
     },
 
     /**
-     * Set a parameter or parameters into the params object, can be chained
-     * @param key object with new parameters or name of the parameter to be set
-     * @param value if key is a string for the parameter name, this is the value of parameter
-     * @returns {ReactBackbone.Collection}
+     * Replace the params, triggering 'params' with the new params if they changed
      */
-    setParam: function (key, value) {
-      if (typeof key === "object") {
-        this.params = _.extend({}, this.params, key);
-      } else if (typeof key === "string") {
-        var setObj = {};
-        setObj[ key ] = value;
-        this.params = _.extend({}, this.params, setObj);
+    _setParams: function (params, options) {
+      if (_.isEqual(params, this.params)) {
+        return this;
       }
+      this.params = params;
+      this._stateChanged("params", this.params, options);
       return this;
     },
 
     /**
-     * Reset the headers
+     * Trigger the event for a change to the state that is used to fetch the collection, i.e. 'params', 'sorts',
+     * 'filter' or 'page', and schedule a fetch if autoFetch is enabled. Neither happens if the 'silent' option is
+     * passed, and no fetch is scheduled for a change made by a response, or for a change to the sorts, filters or page
+     * of a client side collection, which are applied to the models that are already loaded
+     * @param event the name of the event
+     * @param value the new state
+     * @param options the options of the change
      */
-    resetHeaders: function () {
-      this.headers = {};
-      return this;
+    _stateChanged: function (event, value, options) {
+      if (options && options.silent) {
+        return;
+      }
+      this.trigger(event, this, value, options);
+      if (this.autoFetch && !(options && options.xhr) && (event === "params" || this.server)) {
+        this._scheduleFetch();
+      }
     },
 
-    /**
-     * Remove a parameter from the headers object, can be chained
-     * @param key key of the header
-     * @returns {ReactBackbone.Collection}
-     */
-    unsetHeader: function (key) {
-      if (typeof key === "string") {
-        this.headers = _.omit(this.headers, key);
-        return this;
+    _scheduleFetch: function () {
+      if (this._autoFetchTimer !== null) {
+        clearTimeout(this._autoFetchTimer);
       }
+      var c = this;
+      this._autoFetchTimer = setTimeout(function () {
+        c.flushAutoFetch();
+      }, this.autoFetchDelay);
     },
 
     /**
-     * Sets a header or headers into the collection
-     * @param key object with new headers or name of the header to be set
-     * @param value if key is a string for the header name, this is the value of header
-     * @returns {ReactBackbone.Collection}
+     * Fetch immediately if an automatic fetch is scheduled, e.g. when the enter key is pressed in a search box
+     * @returns {*} the promise of the fetch, or null if no fetch was scheduled
      */
-    setHeader: function (key, value) {
-      if (typeof key === "object") {
-        this.headers = _.extend({}, this.headers, key);
-      } else if (typeof key === "string") {
-        var setObj = {};
-        setObj[ key ] = value;
-        this.headers = _.extend({}, this.headers, setObj);
+    flushAutoFetch: function () {
+      if (this._autoFetchTimer === null) {
+        return null;
       }
-      return this;
+      var request = this.fetch();
+      // failures are reported by the 'error' event
+      request.then(null, _.noop);
+      return request;
     },
 
     /**
@@ -313,13 +1609,18 @@ ReactBackbone.Collection = (function (oldCollection) {
     },
 
     /**
-     * Set the page that is currently selected, can be chained
+     * Set the page that is currently selected, can be chained. Triggers 'page' if the page changes
      * @param pageNo new page
+     * @param options 'silent' can be passed to not trigger 'page'
      * @returns {ReactBackbone.Collection}
      */
-    setPageNo: function (pageNo) {
+    setPageNo: function (pageNo, options) {
+      var previous = this._pageNo;
       this._pageNo = pageNo;
       this.validatePageNo();
+      if (this._pageNo !== previous) {
+        this._stateChanged("page", this._pageNo, options);
+      }
       return this;
     },
 
@@ -340,12 +1641,18 @@ ReactBackbone.Collection = (function (oldCollection) {
     },
 
     /**
-     * Modify the page size of the collection - can be chained
+     * Modify the page size of the collection - can be chained. Triggers 'page' if the page size changes
      * @param ps new page size
+     * @param options 'silent' can be passed to not trigger 'page'
      * @returns {ReactBackbone.Collection}
      */
-    setPageSize: function (ps) {
+    setPageSize: function (ps, options) {
+      var previous = this._pageSize;
       this._pageSize = ps;
+      this.validatePageNo();
+      if (this._pageSize !== previous) {
+        this._stateChanged("page", this._pageNo, options);
+      }
       return this;
     },
 
@@ -361,7 +1668,8 @@ ReactBackbone.Collection = (function (oldCollection) {
      * Get the number of pages
      */
     getNumPages: function () {
-      return (Math.ceil(this.size() / this.getPageSize()))
+      var count = this.isServerSide() ? this.size() : this.getFiltered().length;
+      return (Math.ceil(count / this.getPageSize()))
     },
 
     /**
@@ -380,47 +1688,91 @@ ReactBackbone.Collection = (function (oldCollection) {
         if (this._totalRecords !== null) {
           this._pageNo = Math.min(Math.ceil(this._totalRecords / this._pageSize) - 1, this._pageNo);
         }
+      } else if (this._totalRecords !== null || this.models.length > 0) {
+        // on the client, the page can only be validated once the records are loaded
+        this._pageNo = Math.min(this.getNumPages() - 1, this._pageNo);
       }
       this._pageNo = Math.max(0, this._pageNo);
       return this;
     },
 
     /**
-     * Read response headers indicating the total number of records, etc.
+     * Get the models of the page that is currently selected. On the server these are the models that were fetched,
+     * and on the client these are the slice of the models that match the filters for the page, sorted by the sorts
+     * @returns {Array}
+     */
+    getPage: function () {
+      if (this.isServerSide()) {
+        return this.models.slice();
+      }
+      var sorted = this.getFiltered();
+      if (this.sorts.length > 0) {
+        sorted.sort(_.bind(this.comparator, this));
+      }
+      var start = this._pageNo * this._pageSize;
+      return sorted.slice(start, start + this._pageSize);
+    },
+
+    /**
+     * Use the instance registered in the identity map of the model, if any, for models created from attributes
+     */
+    _prepareModel: function (attrs, options) {
+      var model = oldCollection.prototype._prepareModel.apply(this, arguments);
+      return this._isModel(attrs) ? model : resolveIdentity(model, attrs, options);
+    },
+
+    /**
+     * Read the records and the total number of records from the response using the pagination strategy
      * @param response server response
-     * @param options ajax options
+     * @param options sync options, options.xhr is the response normalized by the transport
      * @returns {*}
      */
     parse: function (response, options) {
-      var responseHeaderCount = (options && options.xhr && options.xhr.getResponseHeader ) ?
-        parseInt(options.xhr.getResponseHeader(this.totalRecordsHeader)) : 0;
-      if (!isNaN(responseHeaderCount) && responseHeaderCount > response.length) {
+      // the records embedded in a model, see Model relations, are not paged
+      if (options && options.embedded) {
+        return response;
+      }
+      var page = this.getPagination().parse(response, options, this);
+      var records = page.records;
+      var length = (records && typeof records.length === "number") ? records.length : 0;
+      var total = (typeof page.total === "number" && !isNaN(page.total)) ? page.total : null;
+      var server = typeof page.server === "boolean" ? page.server : (total !== null && total > length);
+
+      if (server) {
         this.server = true;
-        this._totalRecords = Math.max(response.length, responseHeaderCount);
+        this._totalRecords = total !== null ? Math.max(length, total) : null;
       } else {
         this.server = false;
-        this._totalRecords = response.length;
+        this._totalRecords = length;
       }
-      if (_.isArray(response)) {
-        var i = 0;
-        _.each(response, function (onePiece) {
+      if (_.isArray(records)) {
+        // the order is relative to the first record on the server so that it is consistent across pages
+        var i = this._pageNo * this._pageSize;
+        _.each(records, function (onePiece) {
           if (_.isObject(onePiece)) {
             onePiece._serverSortOrder = i++;
           }
         });
       }
       // use the JSOG library to decode whatever the response is
-      return _.isObject(response) ? jsogDecode(response) : response;
+      return _.isObject(records) ? jsogDecode(records) : records;
     },
 
     /**
-     * Regular fetch, but adds the parameters and sorting to the fetch data
-     * @param options backbone fetch options
-     * @returns {*}
+     * Regular fetch, but adds the parameters and sorting to the fetch data. Any fetch that is still active is cancelled
+     * If the collection has a cache, a response that is stored for the same request is used, and if it is stale the
+     * collection is updated again when the response of the request sent in the background arrives
+     * @param options backbone fetch options, 'cache' can be passed as false to always send the request
+     * @returns {Promise} resolved with the collection, see promiseSync
      */
     fetch: function (options) {
+      // a fetch scheduled by autoFetch would fetch the same state again
+      if (this._autoFetchTimer !== null) {
+        clearTimeout(this._autoFetchTimer);
+        this._autoFetchTimer = null;
+      }
       if (this._activeFetch !== null) {
-        this._activeFetch.abort();
+        this._activeFetch.cancel();
         this._activeFetch = null;
       }
 
@@ -432,35 +1784,56 @@ ReactBackbone.Collection = (function (oldCollection) {
       options.data = _.extend(
         this.getPaginationParams(),
         this.getSortParams(),
+        this.getFilterParams(),
         this.params,
         dataParams
       );
 
-      // use traditional object serialization for query parameters by default
-      if (typeof options.traditional === 'undefined') {
-        options.traditional = true;
+      options.headers = _.extend({}, this.headers, this.getPagination().getHeaders(this), options.headers);
+
+      var c = this;
+      if (options.cache !== false && this.cache) {
+        var setOptions = _.omit(options, "success", "error");
+        options.cache = this.cache;
+        options.revalidated = function (response) {
+          // only update the collection if no other fetch was made since
+          if (c._lastFetch === request) {
+            var revalidatedOptions = _.extend({ parse: true }, setOptions, { xhr: response });
+            c[ revalidatedOptions.reset ? "reset" : "set" ](response.body, revalidatedOptions);
+            c.trigger("sync", c, response.body, revalidatedOptions);
+          }
+        };
+      } else {
+        options.cache = null;
       }
 
-      var oc = options.complete;
-      options.complete = _.bind(function () {
-        this._activeFetch = null;
-        if (typeof oc === 'function') {
-          oc.apply(this, arguments);
+      var request = promiseSync(this, options, function (options) {
+        return oldCollection.prototype.fetch.call(c, options);
+      });
+      var clearActiveFetch = function () {
+        if (c._activeFetch === request) {
+          c._activeFetch = null;
         }
-      }, this);
-
-      options.headers = _.extend({}, this.headers, options.headers);
+      };
+      var replacesPage = options.remove !== false;
+      request.then(function () {
+        if (replacesPage) {
+          c._loadedPages = null;
+        }
+        clearActiveFetch();
+      }, clearActiveFetch);
 
-      return (this._activeFetch = oldCollection.prototype.fetch.call(this, options));
+      this._lastFetch = request;
+      return trackRequest(this, "fetch", (this._activeFetch = request));
     },
 
     /**
      * Remove all the sorts - can be chained
+     * @param options 'silent' can be passed to not trigger 'sort'
      * @returns {ReactBackbone.Collection}
      */
-    resetSorts: function () {
-      this.sorts = [];
-      return this;
+    resetSorts: function (options) {
+      return this._setSorts([], options);
     },
 
     /**
@@ -484,7 +1857,9 @@ ReactBackbone.Collection = (function (oldCollection) {
           var m1a = m1.get(attr);
           var m2a = m2.get(attr);
 
-          var comparison = this.compareAttributes(m1a, m2a);
+          var custom = this.sortComparators && this.sortComparators[ attr ];
+          var comparison = typeof custom === "function" ? custom.call(this, m1a, m2a, m1, m2) :
+            this.compareAttributes(m1a, m2a, attributeSchema.specFor(m1.schema, attr));
           if (comparison !== 0) {
             return comparison * desc;
           }
@@ -496,8 +1871,11 @@ ReactBackbone.Collection = (function (oldCollection) {
 
     /**
      * Generic comparator function that handles comparing for sorting different types of values
+     * @param attrA first value
+     * @param attrB second value
+     * @param spec the type declared in the schema of the model, if any, otherwise the type is guessed from the values
      */
-    compareAttributes: function (attrA, attrB) {
+    compareAttributes: function (attrA, attrB, spec) {
       // check if one or the other is not defined or null
       if ((attrA === null || typeof attrA === "undefined") && (typeof attrB !== "undefined" && attrB !== null)) {
         return 1;
@@ -505,10 +1883,12 @@ ReactBackbone.Collection = (function (oldCollection) {
       if ((attrB === null || typeof attrB === "undefined") && (typeof attrA !== "undefined" && attrA !== null)) {
         return -1;
       }
+      if (attrA === null || typeof attrA === "undefined") {
+        return 0;
+      }
 
-      if (typeof attrA === "string" && typeof attrB === "string") {
-        attrA = attrA.toUpperCase();
-        attrB = attrB.toUpperCase();
+      if (spec) {
+        return attributeSchema.compare(spec, attrA, attrB, { collator: this.getCollator() });
       }
 
       // if they are both numeric values, use the numeric value to compare the two
@@ -525,6 +1905,8 @@ ReactBackbone.Collection = (function (oldCollection) {
         if (tsA.isValid() && tsB.isValid()) {
           attrA = tsA.unix();
           attrB = tsB.unix();
+        } else {
+          return this.getCollator().compare(attrA, attrB);
         }
       }
 
@@ -538,24 +1920,163 @@ ReactBackbone.Collection = (function (oldCollection) {
     },
 
     /**
-     * Add a sort, can be chained
+     * Get the collator used to compare strings
+     * @returns {Intl.Collator}
+     */
+    getCollator: function () {
+      return this.collator || defaultCollator();
+    },
+
+    /**
+     * Add a sort as the first sort, replacing any sort on the same attribute and removing the last sorts over maxSorts,
+     * can be chained
      * @param attribute attribute to be sorted on
      * @param desc truthy value to indicate descending
+     * @param options 'silent' can be passed to not trigger 'sort'
      * @returns {ReactBackbone.Collection}
      */
-    addSort: function (attribute, desc) {
+    addSort: function (attribute, desc, options) {
       if (typeof attribute !== "string") {
         return this;
       }
-      this.sorts = [
+      var sorts = [
         {
           attribute: attribute,
           desc: Boolean(desc)
         }
-      ].concat(this.sorts);
+      ].concat(_.reject(this.sorts, function (oneSort) {
+        return oneSort.attribute === attribute;
+      }));
+      return this._setSorts(sorts.slice(0, Math.max(1, this.maxSorts)), options);
+    },
+
+    /**
+     * Remove the sort on an attribute, can be chained
+     * @param attribute attribute that is sorted on
+     * @param options 'silent' can be passed to not trigger 'sort'
+     * @returns {ReactBackbone.Collection}
+     */
+    removeSort: function (attribute, options) {
+      var sorts = _.reject(this.sorts, function (oneSort) {
+        return oneSort.attribute === attribute;
+      });
+      return sorts.length === this.sorts.length ? this : this._setSorts(sorts, options);
+    },
+
+    /**
+     * Cycle the sort on an attribute from ascending to descending to not sorted, as a column header does. The attribute
+     * becomes the first sort while it is sorted - can be chained
+     * @param attribute attribute to be sorted on
+     * @param options 'silent' can be passed to not trigger 'sort'
+     * @returns {ReactBackbone.Collection}
+     */
+    toggleSort: function (attribute, options) {
+      var current = this.getSort(attribute);
+      if (!current) {
+        return this.addSort(attribute, false, options);
+      }
+      return current.desc ? this.removeSort(attribute, options) : this.addSort(attribute, true, options);
+    },
+
+    /**
+     * Get the sort on an attribute
+     * @param attribute attribute that is sorted on
+     * @returns {*} the sort with shape { attribute: string, desc: boolean } or undefined if it is not sorted
+     */
+    getSort: function (attribute) {
+      return _.findWhere(this.sorts, { attribute: attribute });
+    },
+
+    /**
+     * Replace the sorts and sort the models by them, which triggers 'sort' with the new sorts in the options, followed
+     * by 'sorts' with the new sorts
+     */
+    _setSorts: function (sorts, options) {
+      this.sorts = sorts;
+      this.sort(_.extend({}, options, { sorts: this.sorts }));
+      this._stateChanged("sorts", this.sorts, options);
+      return this;
+    },
+
+    /**
+     * Add a filter, replacing any filter with the same path and operator, can be chained
+     * Filters are sent to the server when the collection is server side, and evaluated by getFiltered and getPage
+     * otherwise. Changing the filters goes back to the first page and triggers 'filter'
+     * @param path path of the attribute to filter, e.g. "address.city"
+     * @param operator name of the operator, e.g. "eq", "in", "range", "contains" or "date-between"
+     * @param value the operand of the operator
+     * @param options 'silent' can be passed to not trigger 'filter'
+     * @returns {ReactBackbone.Collection}
+     */
+    addFilter: function (path, operator, value, options) {
+      filters.getOperator(operator);
+      path = attributePath.stringify(attributePath.parse(path));
+      var others = _.reject(this.filters, function (oneFilter) {
+        return oneFilter.path === path && oneFilter.operator === operator;
+      });
+      return this._setFilters(others.concat([ { path: path, operator: operator, value: value } ]), options);
+    },
+
+    /**
+     * Remove the filters of a path, can be chained
+     * @param path path of the filtered attribute
+     * @param operator optional name of the operator, all the filters of the path are removed if not given
+     * @param options 'silent' can be passed to not trigger 'filter'
+     * @returns {ReactBackbone.Collection}
+     */
+    removeFilter: function (path, operator, options) {
+      path = attributePath.stringify(attributePath.parse(path));
+      var remaining = _.reject(this.filters, function (oneFilter) {
+        return oneFilter.path === path && (!operator || oneFilter.operator === operator);
+      });
+      return remaining.length === this.filters.length ? this : this._setFilters(remaining, options);
+    },
+
+    /**
+     * Remove all the filters, can be chained
+     * @param options 'silent' can be passed to not trigger 'filter'
+     * @returns {ReactBackbone.Collection}
+     */
+    resetFilters: function (options) {
+      return this.filters.length === 0 ? this : this._setFilters([], options);
+    },
+
+    _setFilters: function (newFilters, options) {
+      this.filters = newFilters;
+      this.setPageNo(0, { silent: true });
+      this._stateChanged("filter", this.filters, options);
       return this;
     },
 
+    /**
+     * Get the models that match the filters. On the server, the filters are applied by the server so these are all the
+     * models
+     * @returns {Array}
+     */
+    getFiltered: function () {
+      if (this.isServerSide() || this.filters.length === 0) {
+        return this.models.slice();
+      }
+      var applied = this.filters;
+      return this.filter(function (model) {
+        return filters.matches(model, applied);
+      });
+    },
+
+    /**
+     * Return the params object to be passed to fetch data for filtering, e.g. filter=address.city|eq|Austin
+     * @returns {{}}
+     */
+    getFilterParams: function () {
+      var toReturn = {};
+      if (this.filters.length > 0) {
+        toReturn[ this.filterParam ] = _.map(this.filters, function (oneFilter) {
+          return filters.serialize(oneFilter, this.filterSeparator);
+        }, this);
+      }
+      return toReturn;
+    },
+
     /**
      * Return the params object to be passed to fetch data for sorting
      * @returns {{}}
@@ -568,45 +2089,481 @@ ReactBackbone.Collection = (function (oldCollection) {
       return toReturn;
     },
 
+    /**
+     * Get the params, page, sorts and filters as the query parameters that are sent to fetch them, e.g.
+     * { q: "sal", start: 40, count: 20, sort: [ "A|name" ], filter: [ "age|range|18," ] }
+     * @returns {{}}
+     */
+    toQueryState: function () {
+      return _.extend({}, this.params, this.getPaginationParams(), this.getSortParams(), this.getFilterParams());
+    },
+
+    /**
+     * Restore the page, page size, sorts, filters and params from query parameters produced by toQueryState, e.g.
+     * parsed from the url. Parameters that are missing are restored to the first page, no sorts, no filters and no
+     * params. The page is read by the pagination strategy - can be chained
+     * @param query object of parameter name to value or array of values
+     * @param options 'silent' can be passed to not trigger 'page', 'sorts', 'filter' and 'params'
+     * @returns {ReactBackbone.Collection}
+     */
+    fromQueryState: function (query, options) {
+      var strategy = this.getPagination();
+      var page = typeof strategy.parseParams === "function" ? strategy.parseParams(query || {}, this) :
+        pagination.base.parseParams(query || {});
+      if (page.pageSize !== null && page.pageSize > 0) {
+        this.setPageSize(page.pageSize, options);
+      }
+      query = page.params;
+
+      var separator = this.sortSeparator;
+      var sortValues = _.has(query, this.sortParam) ? [].concat(query[ this.sortParam ]) : [];
+      var sorts = _.compact(_.map(sortValues, function (val) {
+        var index = String(val).indexOf(separator);
+        if (index === -1) {
+          return null;
+        }
+        return {
+          attribute: String(val).substring(index + separator.length),
+          desc: String(val).substring(0, index) === "D"
+        };
+      }));
+      if (!_.isEqual(sorts, this.sorts)) {
+        this._setSorts(sorts.slice(0, Math.max(1, this.maxSorts)), options);
+      }
+
+      // filters whose values are not strings only compare equal once they are serialized
+      var filterValues = _.has(query, this.filterParam) ? _.map([].concat(query[ this.filterParam ]), String) : [];
+      if (!_.isEqual(filterValues, this.getFilterParams()[ this.filterParam ] || [])) {
+        this._setFilters(_.compact(_.map(filterValues, function (val) {
+          return filters.parse(val, this.filterSeparator);
+        }, this)), options);
+      }
+
+      this._setParams(_.omit(query, this.sortParam, this.filterParam), options);
+      return this.setPageNo(page.pageNo !== null ? page.pageNo : 0, options);
+    },
+
+    /**
+     * Keep the query string of the url in sync with toQueryState, see query-state.js for the options
+     * @param options
+     * @returns {Function} that removes the binding
+     */
+    bindQueryState: function (options) {
+      return queryState.bind(this, options);
+    },
+
+    /**
+     * Return the pagination strategy of the collection
+     * @returns {*}
+     */
+    getPagination: function () {
+      return this.pagination || defaultPagination;
+    },
+
     /**
      * Return the params object to be passed to fetch data for pagination
      * @returns {{}}
      */
     getPaginationParams: function () {
-      var toReturn = {};
-      toReturn[ this.startParam ] = this._pageNo * this._pageSize;
-      toReturn[ this.countParam ] = this._pageSize;
-      return toReturn;
+      return this.getPagination().getParams(this);
     },
 
     /**
-     * Make a PUT to the server with all the collection's contents
+     * Whether there is a page after the current page on the server
+     * @returns {boolean}
+     */
+    hasNextPage: function () {
+      return this.getPagination().hasNext(this);
+    },
+
+    /**
+     * Whether there is a page before the current page on the server
+     * @returns {boolean}
+     */
+    hasPrevPage: function () {
+      return this.getPagination().hasPrev(this);
+    },
+
+    /**
+     * Get the range of pages that are loaded, which is only the current page unless loadMore or loadPrevious was used
+     * @returns {{first: number, last: number}}
+     */
+    getLoadedPages: function () {
+      return this._loadedPages || { first: this._pageNo, last: this._pageNo };
+    },
+
+    /**
+     * Call a function with the page number temporarily set, so the pagination strategy answers for that page
+     */
+    _atPage: function (pageNo, fn) {
+      var current = this._pageNo;
+      this._pageNo = pageNo;
+      try {
+        return fn.call(this);
+      } finally {
+        this._pageNo = current;
+      }
+    },
+
+    /**
+     * Whether there are records on the server after the last loaded page
+     * @returns {boolean}
+     */
+    hasMore: function () {
+      return this._atPage(this.getLoadedPages().last, this.hasNextPage);
+    },
+
+    /**
+     * Whether there are records on the server before the first loaded page
+     * @returns {boolean}
+     */
+    hasPrevious: function () {
+      return this._atPage(this.getLoadedPages().first, this.hasPrevPage);
+    },
+
+    /**
+     * Fetch the page after the last loaded page and append its models to the collection
+     * Models that are already in the collection are merged, and if maxModels is exceeded the first models are removed
+     * @param options backbone fetch options
+     * @returns {Promise} resolved with the collection, see promiseSync. If there are no more records, the promise is
+     * resolved without making a request
+     */
+    loadMore: function (options) {
+      if (this.models.length === 0 && this._loadedPages === null) {
+        return this._loadPage(this._pageNo, options);
+      }
+      return this.hasMore() ? this._loadPage(this.getLoadedPages().last + 1, options) : Promise.resolve(this);
+    },
+
+    /**
+     * Fetch the page before the first loaded page and prepend its models to the collection
+     * Models that are already in the collection are merged, and if maxModels is exceeded the last models are removed
+     * @param options backbone fetch options
+     * @returns {Promise} resolved with the collection, see promiseSync. If there are no previous records, the promise is
+     * resolved without making a request
+     */
+    loadPrevious: function (options) {
+      var first = this.getLoadedPages().first;
+      return (first > 0 && this.hasPrevious()) ? this._loadPage(first - 1, options) : Promise.resolve(this);
+    },
+
+    /**
+     * Fetch a page without removing the models of the other loaded pages. The page becomes the current page while
+     * the request is active so that the pagination strategy requests and parses it, and remains current if it loads
+     */
+    _loadPage: function (pageNo, options) {
+      if (this._activeLoad !== null) {
+        return this._activeLoad;
+      }
+      options = options || {};
+
+      var c = this;
+      var previousPageNo = this._pageNo;
+      var loaded = this.getLoadedPages();
+      var success = options.success;
+
+      this._pageNo = pageNo;
+      var request = this.fetch(_.extend({}, options, {
+        remove: false,
+        merge: true,
+        success: function () {
+          c._loadedPages = c.models.length === 0 ? null :
+            { first: Math.min(loaded.first, pageNo), last: Math.max(loaded.last, pageNo) };
+          c._trimLoadedPages(pageNo < loaded.first);
+          if (typeof success === "function") {
+            success.apply(this, arguments);
+          }
+        }
+      }));
+      request.then(function () {
+        c._activeLoad = null;
+      }, function () {
+        c._activeLoad = null;
+        // a fetch that replaced this one uses its own page
+        if (c._activeFetch === null) {
+          c._pageNo = previousPageNo;
+        }
+      });
+
+      return (this._activeLoad = request);
+    },
+
+    /**
+     * Remove the models over maxModels from the start of the collection, or from the end if fromEnd, and narrow the
+     * loaded pages to the pages that remain whole, so that a partially removed page is loaded again
+     */
+    _trimLoadedPages: function (fromEnd) {
+      var excess = this.maxModels !== null ? this.models.length - this.maxModels : 0;
+      if (excess <= 0) {
+        return;
+      }
+      // trimmed models are only unloaded, they are not deleted when the collection is saved
+      var trimmed = fromEnd ? this.models.slice(this.models.length - excess) : this.models.slice(0, excess);
+      this.remove(trimmed, { trim: true });
+      if (this.models.length === 0) {
+        this._loadedPages = null;
+        return;
+      }
+      var loaded = this._loadedPages;
+      if (fromEnd) {
+        var lastOrder = this.last().get("_serverSortOrder");
+        loaded.last = Math.max(loaded.first, Math.floor((lastOrder + 1) / this._pageSize) - 1);
+      } else {
+        var firstOrder = this.first().get("_serverSortOrder");
+        loaded.first = Math.min(loaded.last, Math.ceil(firstOrder / this._pageSize));
+      }
+    },
+
+    /**
+     * Return the JSON for every model, encoded as a single JSOG graph if enabled
+     * @param options the 'jsog' option can be passed to override the property
+     * @returns {Array}
+     */
+    toJSON: function (options) {
+      var modelOptions = _.extend({}, options, { jsog: false });
+      var json = this.map(function (model) {
+        return model.toJSON(modelOptions);
+      });
+      return shouldEncodeJsog(this, options) ? jsogEncode(json) : json;
+    },
+
+    /**
+     * Forget the changes made since the last save, can be chained
+     * @returns {ReactBackbone.Collection}
+     */
+    clearChanges: function () {
+      // cid -> model for the models changed or removed since the last save
+      this._modified = {};
+      this._removed = {};
+      return this;
+    },
+
+    // changes that come from the server have the response in options.xhr and are not tracked
+    _trackModified: function (model, options) {
+      if (!(options && options.xhr) && this.get(model) === model) {
+        this._modified[ model.cid ] = model;
+      }
+    },
+
+    _trackRemoved: function (model, collection, options) {
+      if (collection !== this || (options && (options.xhr || options.trim))) {
+        return;
+      }
+      if (this.get(model) === model) {
+        delete this._removed[ model.cid ];
+      } else if (!model.isNew()) {
+        this._removed[ model.cid ] = model;
+        delete this._modified[ model.cid ];
+      }
+    },
+
+    /**
+     * Get the changes made since the last save
+     * @returns {{create: Array, update: Array, delete: Array}} the new models, the models that were changed and the
+     * models that were removed
+     */
+    getChanges: function () {
+      var modified = this._modified;
+      return {
+        create: this.filter(function (model) {
+          return model.isNew();
+        }),
+        update: this.filter(function (model) {
+          return !model.isNew() && _.has(modified, model.cid);
+        }),
+        "delete": _.values(this._removed)
+      };
+    },
+
+    /**
+     * Whether any models were added, changed or removed since the last save
+     * @returns {boolean}
+     */
+    hasChanges: function () {
+      var changes = this.getChanges();
+      return changes.create.length + changes.update.length + changes[ "delete" ].length > 0;
+    },
+
+    _clearChange: function (model) {
+      delete this._modified[ model.cid ];
+      delete this._removed[ model.cid ];
+    },
+
+    /**
+     * Save the collection using the saveStrategy, which can be overridden with the 'strategy' option, and 'concurrency'
+     * overrides saveConcurrency. The "bulk" and "each" strategies send only the changes made since the last save
+     * If some of the models cannot be saved, the models that were saved are no longer changed and the promise is
+     * rejected with a SyncError whose 'failures' are the models that could not be saved with their errors
      * @param options
-     * @returns {*}
+     * @returns {Promise} resolved with the collection
      */
     save: function (options) {
-      options = options || {};
-      var oldSuccess = options.success;
+      var strategy = (options && options.strategy) || this.saveStrategy;
+      var promise;
+      if (strategy === "each") {
+        promise = this._saveEach(options);
+      } else {
+        promise = strategy === "replace" ? this._saveReplace(options) : this._saveBulk(options);
+      }
+      return trackRequest(this, "save", promise);
+    },
+
+    /**
+     * PATCH the changes as { create: [ attributes ], update: [ attributes ], delete: [ ids ] }
+     * The response can have 'create' and 'update' arrays with the attributes of the saved models in the order they
+     * were sent, and a 'failures' array of { operation: "create"|"update"|"delete", index: number, error: * } for the
+     * models that could not be saved, where the index is in the array of the operation that was sent
+     */
+    _saveBulk: function (options) {
       var c = this;
-      return OriginalBackbone.sync("update", this, _.extend({}, options, {
-        success: function (response, text, jqxhr) {
-          c.set(response);
-          if (typeof oldSuccess === "function") {
-            oldSuccess.apply(this, arguments);
+      var changes = this.getChanges();
+      var payload = {
+        create: _.invoke(changes.create, "toJSON"),
+        update: _.invoke(changes.update, "toJSON"),
+        "delete": _.pluck(changes[ "delete" ], "id")
+      };
+      var failures = [];
+      var request = promiseSync(this, options, function (options) {
+        var success = options.success;
+        return c.sync("patch", c, _.extend({}, options, {
+          attrs: payload,
+          success: function (response) {
+            response = _.isObject(response) ? response : {};
+            var failed = {};
+            _.each(response.failures, function (failure) {
+              var model = (changes[ failure.operation ] || [])[ failure.index ];
+              if (model) {
+                failed[ model.cid ] = true;
+                failures.push({ model: model, error: failure.error });
+              }
+            });
+            _.each([ "create", "update", "delete" ], function (operation) {
+              _.each(changes[ operation ], function (model, index) {
+                if (failed[ model.cid ]) {
+                  return;
+                }
+                var attrs = operation !== "delete" && response[ operation ] && response[ operation ][ index ];
+                if (_.isObject(attrs)) {
+                  model.set(model.parse(attrs, options), options);
+                }
+                c._clearChange(model);
+              });
+            });
+            c._invalidateCache();
+            success.apply(this, arguments);
+            c.trigger("sync", c, response, options);
           }
-          c.trigger("sync", c, response, options);
-        },
-        error: function (jqXhr, status, httpError) {
-          c.trigger("error", c, jqXhr, options);
+        }));
+      });
+      return request.then(function (result) {
+        if (failures.length > 0) {
+          throw SyncError.partial(failures);
         }
+        return result;
+      });
+    },
+
+    /**
+     * Save each new and changed model, and destroy each removed model, with at most 'concurrency' requests at a time
+     */
+    _saveEach: function (options) {
+      var c = this;
+      var changes = this.getChanges();
+      var baseUrl = _.result(this, "url");
+      // the callbacks and strategy options are for the collection save, not the save of each model
+      var modelOptions = _.omit(options, "success", "error", "strategy", "concurrency");
+      var tasks = _.map(changes.create.concat(changes.update), function (model) {
+        return function () {
+          return model.save(null, modelOptions);
+        };
+      }).concat(_.map(changes[ "delete" ], function (model) {
+        return function () {
+          // the model is no longer in the collection, so its url is built from the url of the collection
+          var url = _.result(model, "urlRoot") ? _.result(model, "url") :
+            baseUrl.replace(/[^\/]$/, "$&/") + encodeURIComponent(model.id);
+          return model.destroy(_.extend({}, modelOptions, { url: url }));
+        };
       }));
+      var models = changes.create.concat(changes.update, changes[ "delete" ]);
+      var concurrency = (options && options.concurrency) || this.saveConcurrency;
+
+      return runLimited(tasks, concurrency).then(function (results) {
+        var failures = [];
+        _.each(results, function (result, index) {
+          if (result.error) {
+            failures.push({ model: models[ index ], error: result.error });
+          } else {
+            c._clearChange(models[ index ]);
+          }
+        });
+        c.trigger("sync", c, null, options);
+        if (failures.length > 0) {
+          throw SyncError.partial(failures);
+        }
+        return c;
+      });
+    },
+
+    /**
+     * Create a model in the collection
+     * If the 'optimistic' option is true, the model is added immediately and removed if the request fails
+     * @param attrs attributes of the model
+     * @param options backbone create options
+     * @returns {*} the model, or false if it is invalid
+     */
+    create: function (attrs, options) {
+      if (!(options && options.optimistic)) {
+        return oldCollection.prototype.create.apply(this, arguments);
+      }
+      options = _.extend(_.omit(options, "optimistic"), { wait: false });
+      var model = this._prepareModel(attrs, options);
+      if (!model) {
+        return false;
+      }
+      var c = this;
+      this.add(model, options);
+      model.save(null, options).then(null, function (error) {
+        if (error.queued) {
+          return;
+        }
+        c.remove(model, { rollback: true });
+        triggerRollback(model, error, "create", c);
+      });
+      return model;
+    },
+
+    /**
+     * Make a PUT to the server with all the collection's contents
+     */
+    _saveReplace: function (options) {
+      var c = this;
+      return promiseSync(this, options, function (options) {
+        var success = options.success;
+        var error = options.error;
+        return c.sync("update", c, _.extend({}, options, {
+          success: function (response, text, jqxhr) {
+            c.set(response, { xhr: jqxhr });
+            c.clearChanges();
+            c._invalidateCache();
+            success.apply(this, arguments);
+            c.trigger("sync", c, response, options);
+          },
+          error: function (jqXhr, status, httpError) {
+            options.textStatus = status;
+            error.call(this, c, jqXhr, options);
+            c.trigger("error", c, jqXhr, options);
+          }
+        }));
+      });
     },
 
     /**
      * Extend the reset to bring us back to the first page, lose the count and change the collection to be client side
      */
     reset: function (models, options) {
-      this.setPageNo(0);
+      this.clearChanges();
+      this.setPageNo(0, options);
+      this._loadedPages = null;
       this._totalRecords = null;
       this.server = false;
 
@@ -617,7 +2574,180 @@ ReactBackbone.Collection = (function (oldCollection) {
 
 })(OriginalBackbone.Collection);
 
+/**
+ * The state of the requests of models and collections, for showing loading indicators and errors. Requests are tracked
+ * from fetch, save and destroy, and 'request', 'abort' and 'settled' are triggered as they start and complete
+ */
+var requestState = {
+  /**
+   * Whether a fetch is in progress
+   * @returns {boolean}
+   */
+  isFetching: function () {
+    return Boolean(this._pendingRequests && this._pendingRequests.fetch > 0);
+  },
+
+  /**
+   * Whether a save or destroy is in progress
+   * @returns {boolean}
+   */
+  isSaving: function () {
+    return Boolean(this._pendingRequests && this._pendingRequests.save + this._pendingRequests.destroy > 0);
+  },
+
+  /**
+   * The SyncError of the last request that failed, or null if the last request that completed succeeded. Aborted
+   * requests are not errors
+   * @returns {*}
+   */
+  lastError: function () {
+    return this._lastError || null;
+  },
+
+  /**
+   * When the last successful request completed
+   * @returns {Date} or null if no request has succeeded
+   */
+  lastSyncedAt: function () {
+    return this._lastSyncedAt || null;
+  }
+};
+
+/**
+ * Methods for the headers and query parameters that models and collections send with their requests
+ */
+var requestOptions = {
+  /**
+   * Reset the parameters sent with requests, can be chained
+   * @param options 'silent' can be passed to not trigger 'params'
+   * @returns {*} this
+   */
+  resetParams: function (options) {
+    return this._setParams({}, options);
+  },
+
+  /**
+   * Remove a parameter from the params object, can be chained
+   * @param key key of the parameter
+   * @param options 'silent' can be passed to not trigger 'params'
+   * @returns {*} this
+   */
+  unsetParam: function (key, options) {
+    if (typeof key === "string") {
+      return this._setParams(_.omit(this.params, key), options);
+    }
+  },
+
+  /**
+   * Set a parameter or parameters into the params object, can be chained
+   * @param key object with new parameters or name of the parameter to be set
+   * @param value if key is a string for the parameter name, this is the value of parameter, otherwise the options
+   * @param options 'silent' can be passed to not trigger 'params'
+   * @returns {*} this
+   */
+  setParam: function (key, value, options) {
+    if (typeof key === "object") {
+      return this._setParams(_.extend({}, this.params, key), value);
+    } else if (typeof key === "string") {
+      var setObj = {};
+      setObj[ key ] = value;
+      return this._setParams(_.extend({}, this.params, setObj), options);
+    }
+    return this;
+  },
+
+  /**
+   * Reset the headers
+   */
+  resetHeaders: function () {
+    this.headers = {};
+    return this;
+  },
+
+  /**
+   * Remove a header from the headers object, can be chained
+   * @param key key of the header
+   * @returns {*} this
+   */
+  unsetHeader: function (key) {
+    if (typeof key === "string") {
+      this.headers = _.omit(this.headers, key);
+      return this;
+    }
+  },
+
+  /**
+   * Sets a header or headers, can be chained
+   * @param key object with new headers or name of the header to be set
+   * @param value if key is a string for the header name, this is the value of header
+   * @returns {*} this
+   */
+  setHeader: function (key, value) {
+    if (typeof key === "object") {
+      this.headers = _.extend({}, this.headers, key);
+    } else if (typeof key === "string") {
+      var setObj = {};
+      setObj[ key ] = value;
+      this.headers = _.extend({}, this.headers, setObj);
+    }
+    return this;
+  }
+};
+
+_.extend(ReactBackbone.Model.prototype, requestState, requestOptions);
+_.extend(ReactBackbone.Collection.prototype, requestState, requestOptions);
+
 // With React, we have no reason to use the Backbone View
 delete ReactBackbone.View;
 
+// the cache that collections can opt in to via the 'cache' property
+ReactBackbone.QueryCache = QueryCache;
+
+// create retry policies for the 'retry' option or property, see retry.js
+ReactBackbone.retryPolicy = retry.policy;
+
+// queue of writes made while offline, see offline-queue.js
+ReactBackbone.OfflineQueue = OfflineQueue;
+
+// the interceptors that every request passes through, and the interceptor that refreshes credentials on a 401
+ReactBackbone.Interceptors = interceptors.Interceptors;
+ReactBackbone.interceptors = new interceptors.Interceptors();
+ReactBackbone.refreshToken = interceptors.refreshToken;
+
+// the identity map that models can opt in to via the 'identityMap' property
+ReactBackbone.IdentityMap = IdentityMap;
+ReactBackbone.identityMap = new IdentityMap();
+
+// the attribute types that can be declared in a model schema, more can be added
+ReactBackbone.schemaTypes = attributeSchema.types;
+
+// factories for the validation rules that can be declared on a model
+ReactBackbone.validators = validation.validators;
+
+// the error that requests are rejected with
+ReactBackbone.SyncError = SyncError;
+
+// parses a query string, e.g. to restore a collection from the url with fromQueryState
+ReactBackbone.parseQuery = queryState.parseQuery;
+
+// the operators that collection filters can use, more can be added
+ReactBackbone.filterOperators = filters.operators;
+
+// the built in pagination strategies of collections
+ReactBackbone.pagination = _.omit(pagination, "base");
+
+/**
+ * Instead of the View, components are bound to models and collections via these helpers:
+ * 1. 'withBackbone' is a higher-order component that re-renders when models or collections passed as props change
+ *
+ * 2. 'useBackbone' is a hook that re-renders the calling component when a model or collection changes
+ *
+ * 3. 'subscribe' listens to a model or collection outside of React
+ *
+ * Re-renders triggered by multiple events are batched, and all listeners are removed when the component unmounts
+ */
+_.extend(ReactBackbone, _.pick(binding, [
+  "subscribe", "flushUpdates", "setBatchStrategy", "withBackbone", "useBackbone"
+]));
+
 module.exports = ReactBackbone;
\ No newline at end of file
@@ -0,0 +1,218 @@
+'use strict';
+
+var _ = require('underscore');
+var Promise = require('./promise');
+
+/**
+ * An ordered list of interceptors. Each interceptor is an object with either or both of the functions:
+ *  request (request, context) called before the request is sent with a copy of the normalized request, returns the
+ *    request to send, or a promise for it. It can change the url, query, headers and body, or throw to not send it
+ *  response (response, request, context) called with the normalized response of every request that got one, including
+ *    error statuses, returns the response to use, or a promise for it. It can transform the response, throw to reject
+ *    it, or return context.replay() to send the request again
+ * The context has shape { model, method, attempt, replay } where attempt is the number of times the request was
+ * replayed, and replay (request) sends the original request, or the given request, through the request interceptors
+ * again. Its response passes only through the response interceptors that come after the one that replayed it, because
+ * the interceptors before it handle the response that it returns
+ * @constructor
+ */
+var Interceptors = function () {
+  this._interceptors = [];
+};
+
+_.extend(Interceptors.prototype, {
+  /**
+   * Add an interceptor to the end of the list
+   * @param interceptor the interceptor
+   * @returns {Function} that removes the interceptor
+   */
+  use: function (interceptor) {
+    this._interceptors = this._interceptors.concat([ interceptor ]);
+    var list = this;
+    return function () {
+      list.eject(interceptor);
+    };
+  },
+
+  /**
+   * Remove an interceptor
+   * @param interceptor the interceptor
+   * @returns {Interceptors}
+   */
+  eject: function (interceptor) {
+    this._interceptors = _.without(this._interceptors, interceptor);
+    return this;
+  },
+
+  /**
+   * Remove every interceptor
+   * @returns {Interceptors}
+   */
+  clear: function () {
+    this._interceptors = [];
+    return this;
+  },
+
+  /**
+   * Get the interceptors in order
+   * @returns {Array}
+   */
+  list: function () {
+    return this._interceptors.slice();
+  },
+
+  /**
+   * Wrap a transport so that requests pass through these interceptors, e.g. to replay requests of an OfflineQueue
+   * @param send the transport
+   * @param context optional object passed to the interceptors, see above
+   * @returns {Function} the transport
+   */
+  wrap: function (send, context) {
+    return wrap(send, this.list(), context || {});
+  }
+});
+
+// mark an error thrown by an interceptor, so that it is not mistaken for a request that failed without a response
+var intercepted = function (response) {
+  return function (error) {
+    if (_.isObject(error)) {
+      error.intercepted = true;
+      if (response && !error.response) {
+        error.response = response;
+      }
+    }
+    throw error;
+  };
+};
+
+// call a function that may throw or return a promise, returning a promise
+var call = function (fn, args) {
+  return new Promise(function (resolve) {
+    resolve(fn.apply(null, args));
+  });
+};
+
+var abortError = function () {
+  var error = new Error("Request aborted");
+  error.aborted = true;
+  return error;
+};
+
+/**
+ * Wrap a transport so that requests pass through the request interceptors in order, and responses through the
+ * response interceptors in reverse order
+ * @param send the transport
+ * @param interceptors array of interceptors
+ * @param context object with the model and method, passed to the interceptors
+ * @returns {Function} the transport
+ */
+var wrap = function (send, interceptors, context) {
+  // 'from' is the index of the first interceptor whose response function is called
+  var run = function (original, attempt, from) {
+    var current = null;
+    var aborted = false;
+    var rejectRequest;
+
+    var contextFrom = function (replayFrom) {
+      return _.extend({}, context, {
+        attempt: attempt,
+        replay: function (request) {
+          current = run(request || original, attempt + 1, replayFrom);
+          return current;
+        }
+      });
+    };
+    var callContext = contextFrom(from);
+
+    var promise = new Promise(function (resolve, reject) {
+      rejectRequest = reject;
+      var copy = _.extend({}, original, {
+        query: _.extend({}, original.query),
+        headers: _.extend({}, original.headers)
+      });
+
+      _.reduce(interceptors, function (previous, interceptor) {
+        return typeof interceptor.request !== "function" ? previous : previous.then(function (request) {
+          return call(interceptor.request, [ request, callContext ]).then(null, intercepted(null));
+        });
+      }, Promise.resolve(copy)).then(function (request) {
+        if (aborted) {
+          throw abortError();
+        }
+        current = send(request);
+        return current.then(function (response) {
+          return _.reduceRight(interceptors, function (previous, interceptor, index) {
+            if (index < from || typeof interceptor.response !== "function") {
+              return previous;
+            }
+            return previous.then(function (res) {
+              var responseContext = contextFrom(index + 1);
+              return call(interceptor.response, [ res, request, responseContext ]).then(null, intercepted(res));
+            });
+          }, Promise.resolve(response));
+        });
+      }).then(resolve, reject);
+    });
+
+    promise.abort = function () {
+      if (aborted) {
+        return;
+      }
+      aborted = true;
+      if (current && typeof current.abort === "function") {
+        current.abort();
+      }
+      rejectRequest(abortError());
+    };
+    return promise;
+  };
+
+  return function (request) {
+    return run(request, 0, 0);
+  };
+};
+
+/**
+ * Create a response interceptor that refreshes the credentials when a request is unauthorized and then replays it
+ * The request is replayed through the request interceptors, so the new credentials should be added to requests by a
+ * request interceptor. Requests that are unauthorized at the same time wait for the same refresh
+ * Options:
+ *  refresh (response, request) function that refreshes the credentials, returning a promise. If it is rejected, the
+ *    unauthorized response is used
+ *  statuses: the response statuses that mean the credentials have expired, default 401
+ * @param options
+ * @returns {{response: Function}}
+ */
+var refreshToken = function (options) {
+  options = _.extend({ statuses: [ 401 ] }, options);
+  if (typeof options.refresh !== "function") {
+    throw new Error("A \"refresh\" function must be specified");
+  }
+  var refreshing = null;
+
+  return {
+    response: function (response, request, context) {
+      if (context.attempt > 0 || !_.contains(options.statuses, response.status)) {
+        return response;
+      }
+      if (refreshing === null) {
+        refreshing = Promise.resolve(options.refresh(response, request));
+        var done = function () {
+          refreshing = null;
+        };
+        refreshing.then(done, done);
+      }
+      return refreshing.then(function () {
+        return context.replay();
+      }, function () {
+        return response;
+      });
+    }
+  };
+};
+
+module.exports = {
+  Interceptors: Interceptors,
+  wrap: wrap,
+  refreshToken: refreshToken
+};
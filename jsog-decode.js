@@ -6,37 +6,68 @@ var nullOrUndefined = function (val) {
   return typeof val === "undefined" || val === null;
 };
 
-var JSOG_OBJECT_DECODED = '__jsogObjectDecoded';
+// the objects and arrays that were produced by decoding, so decoding them again returns them untouched without having
+// to mark the objects themselves
+var decoded = new WeakSet();
+
+var getId = function (encoded, key) {
+  var id = encoded[ key ];
+  return id != null ? id.toString() : id;
+};
 
 /**
  * A custom version of JSOG's decode that can be called multiple times
+ * An @ref may appear before the object with the matching @id, because all the @ids are collected before decoding
  * @param encoded object to be decoded
  */
 module.exports = function (encoded) {
-  var doDecode, found;
+  var collectIds, doDecode, found, visited;
   found = {};
+  visited = new WeakSet();
+
+  // first pass creates an empty result for every object with an @id
+  collectIds = function (encoded) {
+    var id, key;
+    if (typeof encoded !== "object" || encoded === null || decoded.has(encoded) || visited.has(encoded)) {
+      return;
+    }
+    visited.add(encoded);
+    if (!isArray(encoded)) {
+      id = getId(encoded, "@id");
+      if (id && !found.hasOwnProperty(id)) {
+        found[ id ] = {};
+      }
+    }
+    for (key in encoded) {
+      if (encoded.hasOwnProperty(key)) {
+        collectIds(encoded[ key ]);
+      }
+    }
+  };
+
+  // second pass fills in the results, replacing each @ref with the result for the @id
   doDecode = function (encoded) {
     var decodeArray, decodeObject;
     decodeObject = function (encoded) {
       var id, key, ref, result, value;
-      if (encoded[ JSOG_OBJECT_DECODED ] === true) {
+      if (decoded.has(encoded)) {
         return encoded;
       }
-      ref = encoded[ "@ref" ];
-      if (ref != null) {
-        ref = ref.toString();
-      }
+      ref = getId(encoded, "@ref");
       if (ref != null) {
         return found[ ref ];
       }
-      result = {};
-      id = encoded[ "@id" ];
-      if (id != null) {
-        id = id.toString();
-      }
+      id = getId(encoded, "@id");
       if (id) {
-        found[ id ] = result;
+        result = found[ id ];
+        // an @id that appears more than once has already been decoded
+        if (decoded.has(result)) {
+          return result;
+        }
+      } else {
+        result = {};
       }
+      decoded.add(result);
       for (key in encoded) {
         if (encoded.hasOwnProperty(key)) {
           value = encoded[ key ];
@@ -45,20 +76,19 @@ module.exports = function (encoded) {
           }
         }
       }
-      result[ JSOG_OBJECT_DECODED ] = true;
       return result;
     };
     decodeArray = function (encoded) {
-      var value;
-      return (function () {
-        var i, len, results;
-        results = [];
-        for (i = 0, len = encoded.length; i < len; i++) {
-          value = encoded[ i ];
-          results.push(doDecode(value));
-        }
-        return results;
-      })();
+      var i, len, results;
+      if (decoded.has(encoded)) {
+        return encoded;
+      }
+      results = [];
+      decoded.add(results);
+      for (i = 0, len = encoded.length; i < len; i++) {
+        results.push(doDecode(encoded[ i ]));
+      }
+      return results;
     };
     if (nullOrUndefined(encoded)) {
       return encoded;
@@ -70,5 +100,7 @@ module.exports = function (encoded) {
       return encoded;
     }
   };
+
+  collectIds(encoded);
   return doDecode(encoded);
-};
\ No newline at end of file
+};
@@ -0,0 +1,73 @@
+var isArray = typeof Array.isArray === 'function' ? Array.isArray : function (obj) {
+  return Object.prototype.toString.call(obj) === "[object Array]";
+};
+
+var nullOrUndefined = function (val) {
+  return typeof val === "undefined" || val === null;
+};
+
+/**
+ * A version of JSOG's encode that does not write any properties onto the objects being encoded. Every object is given
+ * an @id the first time it is encountered and is replaced by an @ref to that id every time after
+ * Objects that have a toJSON function, e.g. models and dates, are encoded as the result of toJSON, but are still
+ * identified by the original object
+ * @param original object to be encoded
+ */
+module.exports = function (original) {
+  var doEncode, ids, nextId;
+  ids = new Map();
+  nextId = 1;
+  doEncode = function (original) {
+    var encodeArray, encodeObject;
+    encodeObject = function (original) {
+      var id, json, key, result;
+      if (ids.has(original)) {
+        return { "@ref": ids.get(original) };
+      }
+
+      if (typeof original.toJSON === "function") {
+        // do not let models encode themselves, the references must be shared with the rest of the graph
+        json = original.toJSON({ jsog: false });
+        if (typeof json !== "object" || json === null) {
+          return json;
+        }
+        if (isArray(json)) {
+          return encodeArray(json);
+        }
+      } else {
+        json = original;
+      }
+
+      id = (nextId++).toString();
+      ids.set(original, id);
+
+      result = {
+        "@id": id
+      };
+      for (key in json) {
+        if (json.hasOwnProperty(key) && key !== "@id") {
+          result[ key ] = doEncode(json[ key ]);
+        }
+      }
+      return result;
+    };
+    encodeArray = function (original) {
+      var i, len, results;
+      results = [];
+      for (i = 0, len = original.length; i < len; i++) {
+        results.push(doEncode(original[ i ]));
+      }
+      return results;
+    };
+    if (nullOrUndefined(original)) {
+      return original;
+    } else if (isArray(original)) {
+      return encodeArray(original);
+    } else if (typeof original === "object") {
+      return encodeObject(original);
+    } else {
+      return original;
+    }
+  };
+  return doEncode(original);
+};
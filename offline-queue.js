@@ -0,0 +1,272 @@
+'use strict';
+
+var OriginalBackbone = require('backbone');
+var _ = require('underscore');
+var Promise = require('./promise');
+
+var isSuccess = function (response) {
+  return (response.status >= 200 && response.status < 300) || response.status === 304;
+};
+
+var getWindow = function () {
+  return typeof window !== "undefined" ? window : null;
+};
+
+var lastKey = 0;
+var nextKey = function () {
+  lastKey++;
+  return Date.now().toString(36) + "-" + lastKey;
+};
+
+/**
+ * Stores the creates, updates and deletes that failed because there was no connection, and sends them again in order
+ * when the connection returns. There is at most one pending request per model or collection: a later request replaces
+ * an earlier one, keeping the method of a create, and destroying a model whose create is pending removes the create
+ * Options:
+ *  storage: object with getItem and setItem, e.g. localStorage, that the pending requests are persisted to. Defaults
+ *    to window.localStorage if there is one, otherwise they are only kept in memory
+ *  storageKey: the key the pending requests are persisted under, default "backbone-for-react-offline-queue"
+ *  conflictStatuses: the response statuses of a replayed request that are conflicts, default 409 and 412
+ *  omitHeaders: the headers that are not persisted, compared ignoring case, default Authorization,
+ *    Proxy-Authorization and Cookie. Requests made before the page was loaded are replayed without them, so credentials
+ *    should be added by a request interceptor
+ * Events, where the target is the model or collection that made the request, or null if it was made before the page
+ * was loaded:
+ *  enqueue (entry) when a request is added or replaced
+ *  replay (entry, response, target) when a request was sent successfully
+ *  conflict (entry, response, target) when the server responded to a request with one of the conflictStatuses, the
+ *    request is removed from the queue
+ *  error (entry, response, target) when the server responded to a request with any other error, the request is removed
+ *    from the queue
+ * Each entry has shape { key: string, request: {}, time: number } where the request is the normalized request
+ * @param options
+ * @constructor
+ */
+var OfflineQueue = function (options) {
+  options = options || {};
+  var win = getWindow();
+  this.storage = options.storage || (win && win.localStorage) || null;
+  this.storageKey = options.storageKey || "backbone-for-react-offline-queue";
+  this.conflictStatuses = options.conflictStatuses || [ 409, 412 ];
+  this.omitHeaders = options.omitHeaders || [ "Authorization", "Proxy-Authorization", "Cookie" ];
+  // key -> the model or collection whose request is pending, and key -> the transport it was sent with, which applies
+  // its interceptors and retry policy, for the requests made since the page was loaded
+  this._targets = {};
+  this._senders = {};
+  this._replaying = null;
+  this._entries = this._load();
+};
+
+_.extend(OfflineQueue.prototype, OriginalBackbone.Events, {
+  _load: function () {
+    if (!this.storage) {
+      return [];
+    }
+    try {
+      var entries = JSON.parse(this.storage.getItem(this.storageKey) || "[]");
+      return _.isArray(entries) ? entries : [];
+    } catch (e) {
+      return [];
+    }
+  },
+
+  _save: function () {
+    if (!this.storage) {
+      return;
+    }
+    var omit = _.invoke(this.omitHeaders, "toLowerCase");
+    var stored = _.map(this._entries, function (entry) {
+      var headers = _.omit(entry.request.headers, function (value, name) {
+        return _.contains(omit, name.toLowerCase());
+      });
+      return _.extend({}, entry, { request: _.extend({}, entry.request, { headers: headers }) });
+    });
+    this.storage.setItem(this.storageKey, JSON.stringify(stored));
+  },
+
+  /**
+   * Get the pending requests in the order they will be sent
+   * @returns {Array}
+   */
+  entries: function () {
+    return this._entries.slice();
+  },
+
+  /**
+   * The number of pending requests
+   * @returns {number}
+   */
+  size: function () {
+    return this._entries.length;
+  },
+
+  /**
+   * Add a request that could not be sent
+   * @param request the normalized request
+   * @param target the model or collection that made the request
+   * @param send optional transport to replay the request with, instead of the one passed to replay
+   * @returns {OfflineQueue}
+   */
+  enqueue: function (request, target, send) {
+    var key = target._offlineQueueKey || (target._offlineQueueKey = nextKey());
+    this._targets[ key ] = target;
+    if (send) {
+      this._senders[ key ] = send;
+    }
+    var existing = _.findWhere(this._entries, { key: key });
+    var entry = {
+      key: key,
+      request: existing && existing.request.method === "POST" ?
+        _.extend({}, request, { method: "POST", url: existing.request.url }) : request,
+      time: Date.now()
+    };
+    this._entries = existing ? _.map(this._entries, function (oneEntry) {
+      return oneEntry === existing ? entry : oneEntry;
+    }) : this._entries.concat([ entry ]);
+    this._save();
+    this.trigger("enqueue", entry);
+    return this;
+  },
+
+  /**
+   * Remove the pending request of a model or collection, e.g. the create of a model that was destroyed before it was
+   * sent
+   * @param target the model or collection
+   * @returns {boolean} whether there was a pending request
+   */
+  remove: function (target) {
+    var existing = target._offlineQueueKey && _.findWhere(this._entries, { key: target._offlineQueueKey });
+    if (!existing) {
+      return false;
+    }
+    this._entries = _.without(this._entries, existing);
+    delete this._targets[ existing.key ];
+    delete this._senders[ existing.key ];
+    this._save();
+    return true;
+  },
+
+  /**
+   * Remove every pending request
+   * @returns {OfflineQueue}
+   */
+  clear: function () {
+    this._entries = [];
+    this._targets = {};
+    this._senders = {};
+    this._save();
+    return this;
+  },
+
+  /**
+   * Wrap a transport so that writes that fail without a response are added to the queue. The promise is still
+   * rejected, with an error whose 'queued' property is true. The requests are replayed with the same transport
+   * @param send the transport
+   * @param target the model or collection making the request
+   * @returns {Function} the transport
+   */
+  wrap: function (send, target) {
+    var queue = this;
+    return function (request) {
+      var pending = send(request);
+      var result = pending.then(null, function (error) {
+        // errors thrown by interceptors are not connection failures
+        if (error && !error.aborted && !error.intercepted) {
+          queue.enqueue(request, target, send);
+          error.queued = true;
+        }
+        throw error;
+      });
+      result.abort = function () {
+        if (typeof pending.abort === "function") {
+          pending.abort();
+        }
+      };
+      return result;
+    };
+  },
+
+  /**
+   * Send the pending requests in order, stopping at the first request that fails without a response. The requests made
+   * since the page was loaded are sent the way they were first sent, through the interceptors and retry policy of the
+   * model or collection, their responses are set on the models, and 'sync' is triggered on the models and collections
+   * that made them
+   * @param send the transport for the requests made before the page was loaded, which should pass them through the
+   * interceptors, e.g. ReactBackbone.interceptors.wrap(ReactBackbone.transport)
+   * @returns {Promise} resolved with the number of requests that are still pending
+   */
+  replay: function (send) {
+    if (this._replaying) {
+      return this._replaying;
+    }
+    var queue = this;
+    var next = function () {
+      var entry = queue._entries[ 0 ];
+      if (!entry) {
+        return Promise.resolve(0);
+      }
+      var sendEntry = queue._senders[ entry.key ] || send;
+      var handle = function (response) {
+        queue._entries = _.without(queue._entries, entry);
+        queue._save();
+        var target = queue._targets[ entry.key ];
+        delete queue._targets[ entry.key ];
+        delete queue._senders[ entry.key ];
+
+        if (isSuccess(response)) {
+          if (target instanceof OriginalBackbone.Model && entry.request.method !== "DELETE" &&
+            _.isObject(response.body)) {
+            var options = { xhr: response };
+            target.set(target.parse(response.body, options), options);
+          }
+          if (target) {
+            var operation = entry.request.method === "DELETE" ? "destroy" : "save";
+            target.trigger("sync", target, response.body, { xhr: response, operation: operation });
+          }
+          queue.trigger("replay", entry, response, target || null);
+        } else {
+          var event = _.contains(queue.conflictStatuses, response.status) ? "conflict" : "error";
+          queue.trigger(event, entry, response, target || null);
+        }
+        return next();
+      };
+      return sendEntry(entry.request).then(handle, function (error) {
+        // a response rejected by an interceptor is an error response, anything else means the connection is still down
+        if (error && error.intercepted && error.response) {
+          return handle(error.response);
+        }
+        return queue._entries.length;
+      });
+    };
+
+    this._replaying = next();
+    var done = function () {
+      queue._replaying = null;
+    };
+    this._replaying.then(done, done);
+    return this._replaying;
+  },
+
+  /**
+   * Replay the pending requests whenever the connection returns
+   * @param send the transport for the requests made before the page was loaded, see replay
+   * @param events object with addEventListener and removeEventListener for the 'online' event, defaults to window
+   * @returns {Function} that stops listening
+   */
+  listen: function (send, events) {
+    events = events || getWindow();
+    if (!events) {
+      throw new Error("An event target is required to listen for the connection");
+    }
+    var queue = this;
+    var onOnline = function () {
+      queue.replay(send);
+    };
+    events.addEventListener("online", onOnline);
+    return function () {
+      events.removeEventListener("online", onOnline);
+    };
+  }
+});
+
+module.exports = OfflineQueue;
@@ -0,0 +1,348 @@
+'use strict';
+
+var _ = require('underscore');
+
+var getHeader = function (options, name) {
+  return (options && options.xhr && typeof options.xhr.getResponseHeader === "function") ?
+    options.xhr.getResponseHeader(name) : null;
+};
+
+var toCount = function (val) {
+  var count = parseInt(val, 10);
+  return isNaN(count) ? null : count;
+};
+
+/**
+ * Pagination strategies build the request parameters for the page of a server side collection, and read the records
+ * and the total number of records from the response. A strategy is an object with the following functions, each of
+ * which receives the collection:
+ *  getParams (collection) the query parameters for the current page
+ *  getHeaders (collection) the request headers for the current page
+ *  parse (response, options, collection) returns { records: [], total: number|null, server: boolean|undefined },
+ *    server defaults to whether the total exceeds the number of records. options.xhr is the normalized response
+ *  hasNext (collection) / hasPrev (collection) whether there is a page after / before the current page
+ *  parseParams (params, collection) reads query parameters produced by getParams, e.g. from the url, returns
+ *    { pageNo: number|null, pageSize: number|null, params: {} } where params are the other query parameters
+ * Strategies are shared between collections, so any state is kept in collection._paginationState
+ */
+var base = {
+  getParams: function (collection) {
+    return {};
+  },
+
+  getHeaders: function (collection) {
+    return {};
+  },
+
+  parse: function (response, options, collection) {
+    return { records: response, total: null };
+  },
+
+  hasNext: function (collection) {
+    if (!collection.isServerSide()) {
+      return false;
+    }
+    if (collection._totalRecords === null) {
+      return collection.models.length >= collection.getPageSize();
+    }
+    return (collection.getPageNo() + 1) * collection.getPageSize() < collection._totalRecords;
+  },
+
+  hasPrev: function (collection) {
+    return collection.isServerSide() && collection.getPageNo() > 0;
+  },
+
+  parseParams: function (params, collection) {
+    return { pageNo: null, pageSize: null, params: params };
+  }
+};
+
+// the first value of a query parameter that may be repeated
+var firstValue = function (val) {
+  return _.isArray(val) ? val[ 0 ] : val;
+};
+
+var strategy = function (props) {
+  return _.extend({}, base, props);
+};
+
+/**
+ * Offset pagination, e.g. ?start=40&count=20 with the total in a header
+ * Options default to the startParam, countParam and totalRecordsHeader properties of the collection
+ */
+var offset = function (options) {
+  options = options || {};
+  return strategy({
+    getParams: function (collection) {
+      var params = {};
+      params[ options.startParam || collection.startParam ] = collection.getPageNo() * collection.getPageSize();
+      params[ options.countParam || collection.countParam ] = collection.getPageSize();
+      return params;
+    },
+
+    parseParams: function (params, collection) {
+      var startParam = options.startParam || collection.startParam;
+      var countParam = options.countParam || collection.countParam;
+      var start = toCount(firstValue(params[ startParam ]));
+      var count = toCount(firstValue(params[ countParam ]));
+      var size = count > 0 ? count : collection.getPageSize();
+      return {
+        pageNo: start !== null ? Math.floor(start / size) : null,
+        pageSize: count,
+        params: _.omit(params, startParam, countParam)
+      };
+    },
+
+    parse: function (response, responseOptions, collection) {
+      return {
+        records: response,
+        total: toCount(getHeader(responseOptions, options.totalHeader || collection.totalRecordsHeader))
+      };
+    }
+  });
+};
+
+/**
+ * Page number pagination, e.g. ?page=3&size=20 with the total in a header
+ * Options: pageParam (default "page"), sizeParam (default "size"), firstPage (default 1), totalHeader (defaults to the
+ * totalRecordsHeader property of the collection)
+ */
+var pageNumber = function (options) {
+  options = _.extend({ pageParam: "page", sizeParam: "size", firstPage: 1 }, options);
+  return strategy({
+    getParams: function (collection) {
+      var params = {};
+      params[ options.pageParam ] = collection.getPageNo() + options.firstPage;
+      params[ options.sizeParam ] = collection.getPageSize();
+      return params;
+    },
+
+    parseParams: function (params) {
+      var page = toCount(firstValue(params[ options.pageParam ]));
+      return {
+        pageNo: page !== null ? page - options.firstPage : null,
+        pageSize: toCount(firstValue(params[ options.sizeParam ])),
+        params: _.omit(params, options.pageParam, options.sizeParam)
+      };
+    },
+
+    parse: function (response, responseOptions, collection) {
+      return {
+        records: response,
+        total: toCount(getHeader(responseOptions, options.totalHeader || collection.totalRecordsHeader))
+      };
+    }
+  });
+};
+
+/**
+ * Parse an RFC 5988 Link header into an object of rel to url
+ * @param header the value of the header
+ * @returns {{}}
+ */
+var parseLinkHeader = function (header) {
+  var links = {};
+  if (typeof header !== "string") {
+    return links;
+  }
+  _.each(header.split(/,(?=\s*<)/), function (part) {
+    var match = /<([^>]*)>(.*)/.exec(part);
+    if (!match) {
+      return;
+    }
+    var rel = /;\s*rel="?([^";]+)"?/.exec(match[ 2 ]);
+    if (rel) {
+      _.each(rel[ 1 ].split(/\s+/), function (oneRel) {
+        links[ oneRel ] = match[ 1 ];
+      });
+    }
+  });
+  return links;
+};
+
+var getQueryParam = function (url, name) {
+  var match = new RegExp("[?&]" + encodeURIComponent(name) + "=([^&#]*)").exec(url || "");
+  return match ? decodeURIComponent(match[ 1 ]) : null;
+};
+
+/**
+ * Page number pagination whose response has an RFC 5988 Link header with next, prev and last links. The total is
+ * estimated from the page number of the last link
+ * Options: the same as pageNumber, plus linkHeader (default "Link")
+ */
+var linkHeader = function (options) {
+  options = _.extend({ linkHeader: "Link", pageParam: "page", sizeParam: "size", firstPage: 1 }, options);
+  return _.extend(pageNumber(options), {
+    parse: function (response, responseOptions, collection) {
+      var links = parseLinkHeader(getHeader(responseOptions, options.linkHeader));
+      collection._paginationState.links = links;
+
+      var lastPage = toCount(getQueryParam(links.last, options.pageParam));
+      var total = null;
+      if (!links.next) {
+        // the current page is the last page
+        total = collection.getPageNo() * collection.getPageSize() + response.length;
+      } else if (lastPage !== null) {
+        total = (lastPage - options.firstPage + 1) * collection.getPageSize();
+      }
+      return { records: response, total: total, server: Boolean(links.next || links.prev) };
+    },
+
+    hasNext: function (collection) {
+      return Boolean(collection._paginationState.links && collection._paginationState.links.next);
+    },
+
+    hasPrev: function (collection) {
+      return Boolean(collection._paginationState.links && collection._paginationState.links.prev);
+    }
+  });
+};
+
+/**
+ * Pagination that reads the total from a Content-Range header, e.g. Content-Range: items 0-19/100
+ * Options: rangeUnit (default "items"), rangeHeader (when true, the page is requested with a Range header instead of
+ * offset parameters), and the options of offset
+ */
+var contentRange = function (options) {
+  options = _.extend({ rangeUnit: "items", rangeHeader: false }, options);
+  var offsetStrategy = offset(options);
+  return strategy({
+    getParams: function (collection) {
+      return options.rangeHeader ? {} : offsetStrategy.getParams(collection);
+    },
+
+    getHeaders: function (collection) {
+      if (!options.rangeHeader) {
+        return {};
+      }
+      var start = collection.getPageNo() * collection.getPageSize();
+      return { Range: options.rangeUnit + "=" + start + "-" + (start + collection.getPageSize() - 1) };
+    },
+
+    parseParams: function (params, collection) {
+      return options.rangeHeader ? base.parseParams(params) : offsetStrategy.parseParams(params, collection);
+    },
+
+    parse: function (response, responseOptions) {
+      var match = /\/\s*(\d+)\s*$/.exec(getHeader(responseOptions, "Content-Range") || "");
+      return { records: response, total: match ? toCount(match[ 1 ]) : null };
+    }
+  });
+};
+
+/**
+ * Pagination whose response body is an envelope around the records, e.g. { items: [], total: 100 }
+ * Options: itemsKey (default "items"), totalKey (default "total"), params (the strategy used for the request
+ * parameters and headers, default offset)
+ */
+var envelope = function (options) {
+  options = _.extend({ itemsKey: "items", totalKey: "total" }, options);
+  var paramsStrategy = options.params || offset();
+  return strategy({
+    getParams: function (collection) {
+      return paramsStrategy.getParams(collection);
+    },
+
+    getHeaders: function (collection) {
+      return paramsStrategy.getHeaders(collection);
+    },
+
+    parseParams: function (params, collection) {
+      return paramsStrategy.parseParams(params, collection);
+    },
+
+    parse: function (response) {
+      if (!_.isObject(response) || _.isArray(response)) {
+        return { records: response, total: null };
+      }
+      return { records: response[ options.itemsKey ] || [], total: toCount(response[ options.totalKey ]) };
+    }
+  });
+};
+
+/**
+ * Pagination with opaque cursors, where the response is an envelope with the cursors of the next and previous pages,
+ * e.g. { items: [], next: "abc", prev: "xyz" }. The cursors are remembered by page number, so pages adjacent to those
+ * that have been fetched can be navigated to with setPageNo, nextPage and prevPage
+ * Options: cursorParam (default "cursor"), sizeParam (default "limit"), itemsKey (default "items"), nextKey (default
+ * "next"), prevKey (default "prev"), totalKey (default "total")
+ */
+var cursor = function (options) {
+  options = _.extend({
+    cursorParam: "cursor",
+    sizeParam: "limit",
+    itemsKey: "items",
+    nextKey: "next",
+    prevKey: "prev",
+    totalKey: "total"
+  }, options);
+
+  var cursors = function (collection) {
+    return collection._paginationState.cursors || (collection._paginationState.cursors = {});
+  };
+
+  return strategy({
+    getParams: function (collection) {
+      var params = {};
+      var pageCursor = cursors(collection)[ collection.getPageNo() ];
+      if (pageCursor !== null && typeof pageCursor !== "undefined") {
+        params[ options.cursorParam ] = pageCursor;
+      }
+      params[ options.sizeParam ] = collection.getPageSize();
+      return params;
+    },
+
+    // a cursor cannot be mapped back to a page number, so the first page is restored
+    parseParams: function (params) {
+      return {
+        pageNo: null,
+        pageSize: toCount(firstValue(params[ options.sizeParam ])),
+        params: _.omit(params, options.cursorParam, options.sizeParam)
+      };
+    },
+
+    parse: function (response, responseOptions, collection) {
+      var body = response;
+      if (!_.isObject(response) || _.isArray(response)) {
+        // a bare array of records has no cursors
+        body = {};
+        body[ options.itemsKey ] = response;
+      }
+      var pageNo = collection.getPageNo();
+      var next = body[ options.nextKey ], prev = body[ options.prevKey ];
+      if (next !== null && typeof next !== "undefined") {
+        cursors(collection)[ pageNo + 1 ] = next;
+      } else {
+        delete cursors(collection)[ pageNo + 1 ];
+      }
+      if (prev !== null && typeof prev !== "undefined") {
+        cursors(collection)[ pageNo - 1 ] = prev;
+      }
+      return {
+        records: body[ options.itemsKey ] || [],
+        total: toCount(body[ options.totalKey ]),
+        server: Boolean(_.has(cursors(collection), pageNo + 1) || pageNo > 0)
+      };
+    },
+
+    hasNext: function (collection) {
+      return _.has(cursors(collection), collection.getPageNo() + 1);
+    },
+
+    hasPrev: function (collection) {
+      return collection.getPageNo() > 0 && (collection.getPageNo() === 1 ||
+        _.has(cursors(collection), collection.getPageNo() - 1));
+    }
+  });
+};
+
+module.exports = {
+  base: base,
+  offset: offset,
+  pageNumber: pageNumber,
+  linkHeader: linkHeader,
+  contentRange: contentRange,
+  envelope: envelope,
+  cursor: cursor,
+  parseLinkHeader: parseLinkHeader
+};
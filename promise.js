@@ -0,0 +1,5 @@
+'use strict';
+
+// the native Promise where there is one, so that the promises that are returned are instances of it, otherwise the
+// polyfill for older browsers
+module.exports = typeof Promise !== "undefined" ? Promise : require('promise-polyfill');
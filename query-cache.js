@@ -0,0 +1,187 @@
+'use strict';
+
+var _ = require('underscore');
+var Promise = require('./promise');
+var transport = require('./transport');
+
+var isSuccess = function (response) {
+  return (response.status >= 200 && response.status < 300) || response.status === 304;
+};
+
+var sortedObject = function (obj, lowerCaseKeys) {
+  var sorted = {};
+  _.each(_.keys(obj).sort(), function (key) {
+    sorted[ lowerCaseKeys ? key.toLowerCase() : key ] = obj[ key ];
+  });
+  return sorted;
+};
+
+/**
+ * Stores the responses of GET requests keyed by the full request, i.e. the url, the query parameters and the headers,
+ * so that requesting a page or a sort that was already requested does not go to the network
+ * Options:
+ *  ttl: the number of milliseconds a response is fresh for, default 60000
+ *  maxSize: the maximum number of responses stored, the least recently used responses are removed first, default 100
+ *  staleWhileRevalidate: when true, a response that is no longer fresh is still used, and the request is sent in the
+ *    background to update it. Otherwise it is removed and the request is sent
+ * @param options
+ * @constructor
+ */
+var QueryCache = function (options) {
+  options = options || {};
+  this.ttl = typeof options.ttl === "number" ? options.ttl : 60000;
+  this.maxSize = typeof options.maxSize === "number" ? options.maxSize : 100;
+  this.staleWhileRevalidate = Boolean(options.staleWhileRevalidate);
+  // key -> { url, status, getHeader, text, time }, in order from least to most recently used
+  this._entries = new Map();
+};
+
+_.extend(QueryCache.prototype, {
+  /**
+   * The key of a request, which is the same for requests that differ only in the order of parameters or headers
+   * @param request the normalized request, see transport.js
+   * @returns {string}
+   */
+  key: function (request) {
+    return JSON.stringify([
+      request.method,
+      request.url,
+      transport.serializeQuery(sortedObject(request.query)),
+      sortedObject(request.headers, true)
+    ]);
+  },
+
+  /**
+   * Get the stored response of a request
+   * @param request the normalized request
+   * @returns {*} undefined if there is no usable response, otherwise { response, stale } where the response is a new
+   * normalized response each time, so that parsing it cannot modify the stored response
+   */
+  get: function (request) {
+    var key = this.key(request);
+    var entry = this._entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    var stale = Date.now() - entry.time >= this.ttl;
+    if (stale && !this.staleWhileRevalidate) {
+      this._entries.delete(key);
+      return undefined;
+    }
+    // move the entry to the end so that it is the last to be removed
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+    return {
+      response: transport.createResponse(entry.status, entry.getHeader, entry.text),
+      stale: stale
+    };
+  },
+
+  /**
+   * Store the response of a request
+   * @param request the normalized request
+   * @param response the normalized response
+   * @returns {QueryCache}
+   */
+  set: function (request, response) {
+    var key = this.key(request);
+    this._entries.delete(key);
+    this._entries.set(key, {
+      url: request.url,
+      status: response.status,
+      getHeader: response.getResponseHeader,
+      text: response.responseText,
+      time: Date.now()
+    });
+    while (this._entries.size > this.maxSize) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+    return this;
+  },
+
+  /**
+   * Send a request through the cache, using the stored response if there is one, and storing the response otherwise
+   * @param request the normalized request
+   * @param send the transport that sends the request
+   * @param revalidated optional function called with the response of a request that was sent in the background to
+   * update a stale response
+   * @returns {Promise} that behaves like the promise of a transport
+   */
+  send: function (request, send, revalidated) {
+    var cache = this;
+    var store = function (response) {
+      if (isSuccess(response)) {
+        cache.set(request, response);
+      }
+      return response;
+    };
+
+    var hit = this.get(request);
+    if (!hit) {
+      var pending = send(request);
+      var result = pending.then(store);
+      result.abort = function () {
+        if (typeof pending.abort === "function") {
+          pending.abort();
+        }
+      };
+      return result;
+    }
+
+    if (hit.stale) {
+      // the stale response has already been used, so failures of the background request are ignored
+      send(request).then(function (response) {
+        store(response);
+        if (isSuccess(response) && typeof revalidated === "function") {
+          revalidated(response);
+        }
+      }).then(null, _.noop);
+    }
+
+    var aborted = false;
+    var cached = Promise.resolve().then(function () {
+      if (aborted) {
+        var error = new Error("Request aborted");
+        error.aborted = true;
+        throw error;
+      }
+      return hit.response;
+    });
+    cached.abort = function () {
+      aborted = true;
+    };
+    return cached;
+  },
+
+  /**
+   * Remove the responses of the requests to a url, including the urls below it, or every response if no url is given
+   * @param url optional url
+   * @returns {QueryCache}
+   */
+  invalidate: function (url) {
+    this._entries.forEach(function (entry, key) {
+      if (!url || entry.url === url || entry.url.indexOf(url + "/") === 0) {
+        this._entries.delete(key);
+      }
+    }, this);
+    return this;
+  },
+
+  /**
+   * Remove every response
+   * @returns {QueryCache}
+   */
+  clear: function () {
+    return this.invalidate();
+  },
+
+  /**
+   * The number of responses stored
+   * @returns {number}
+   */
+  size: function () {
+    return this._entries.size;
+  }
+});
+
+module.exports = QueryCache;
@@ -0,0 +1,96 @@
+'use strict';
+
+var _ = require('underscore');
+var transport = require('./transport');
+
+/**
+ * Parse a query string into an object of parameter name to value, or to an array of values for repeated parameters
+ * @param search the query string, with or without the leading '?'
+ * @returns {{}}
+ */
+var parseQuery = function (search) {
+  var query = {};
+  _.each((search || "").replace(/^\?/, "").split("&"), function (pair) {
+    if (pair.length === 0) {
+      return;
+    }
+    var index = pair.indexOf("=");
+    var decode = function (str) {
+      return decodeURIComponent(str.replace(/\+/g, " "));
+    };
+    var name = decode(index === -1 ? pair : pair.substring(0, index));
+    var value = index === -1 ? "" : decode(pair.substring(index + 1));
+    if (_.has(query, name)) {
+      query[ name ] = [].concat(query[ name ], [ value ]);
+    } else {
+      query[ name ] = value;
+    }
+  });
+  return query;
+};
+
+var getWindow = function () {
+  return typeof window !== "undefined" ? window : null;
+};
+
+/**
+ * Keep the query string of the url in sync with the query state of a collection. The collection is restored from the
+ * url when it is bound and on back and forward navigation, and the url is updated when the page, sorts, filters or
+ * params change
+ * Options:
+ *  location: object with 'pathname' and 'search', defaults to window.location
+ *  history: object with 'pushState' and 'replaceState', defaults to window.history
+ *  events: object with 'addEventListener' and 'removeEventListener' for the popstate event, defaults to window
+ *  replace: when true, the url is replaced instead of pushing a new history entry
+ * @param collection the collection
+ * @param options
+ * @returns {Function} that removes the binding
+ */
+var bind = function (collection, options) {
+  options = options || {};
+  var win = getWindow();
+  var location = options.location || (win && win.location);
+  var history = options.history || (win && win.history);
+  var events = options.events || win;
+  if (!location || !history || !events) {
+    throw new Error("A location, history and event target are required to bind the query state");
+  }
+
+  // whether the collection is being restored from the url, which must not update the url
+  var restoring = false;
+  var restore = function () {
+    restoring = true;
+    try {
+      collection.fromQueryState(parseQuery(location.search));
+    } finally {
+      restoring = false;
+    }
+  };
+
+  var update = function () {
+    if (restoring) {
+      return;
+    }
+    var query = transport.serializeQuery(collection.toQueryState());
+    var search = query.length > 0 ? "?" + query : "";
+    if (search !== location.search) {
+      history[ options.replace ? "replaceState" : "pushState" ](null, "", location.pathname + search);
+    }
+  };
+
+  if (location.search && location.search.length > 1) {
+    restore();
+  }
+  events.addEventListener("popstate", restore);
+  collection.on("page sorts filter params", update);
+
+  return function () {
+    events.removeEventListener("popstate", restore);
+    collection.off("page sorts filter params", update);
+  };
+};
+
+module.exports = {
+  parseQuery: parseQuery,
+  bind: bind
+};
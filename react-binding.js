@@ -0,0 +1,193 @@
+'use strict';
+
+var _ = require('underscore');
+
+// the events a component re-renders on when none are specified
+var DEFAULT_MODEL_EVENTS = "change sync request settled";
+var DEFAULT_COLLECTION_EVENTS = "add remove reset sort sync page filter params sorts request settled";
+
+// React is only required when one of the React specific helpers is used, so the rest of the library works without it
+var getReact = function () {
+  return require('react');
+};
+
+var isCollection = function (target) {
+  return _.isArray(target.models);
+};
+
+/**
+ * Turn the events argument into the space separated string that Backbone's 'on' and 'off' expect
+ * @param target the model or collection that is being listened to
+ * @param events string, array of strings or nothing for the default events of the target
+ * @returns {string}
+ */
+var normalizeEvents = function (target, events) {
+  if (_.isArray(events)) {
+    events = events.join(" ");
+  }
+  if (typeof events !== "string" || events.trim().length === 0) {
+    return isCollection(target) ? DEFAULT_COLLECTION_EVENTS : DEFAULT_MODEL_EVENTS;
+  }
+  return events.trim();
+};
+
+// the queue of updates waiting for the next flush, each update is only run once per flush
+var pending = [];
+var flushScheduled = false;
+
+var binding = {
+  /**
+   * The function used to schedule a flush of the pending updates, can be replaced to change how re-renders are batched
+   * @param flush function that runs all the pending updates
+   */
+  batchStrategy: function (flush) {
+    setTimeout(flush, 0);
+  },
+
+  /**
+   * Replace the batch strategy, e.g. with one that flushes on the next animation frame
+   * @param strategy function that receives the flush function and is responsible for calling it
+   */
+  setBatchStrategy: function (strategy) {
+    binding.batchStrategy = strategy;
+  },
+
+  /**
+   * Run all the pending updates immediately
+   */
+  flushUpdates: function () {
+    flushScheduled = false;
+    var toRun = pending;
+    pending = [];
+    _.each(toRun, function (update) {
+      update();
+    });
+  },
+
+  /**
+   * Listen to events on a model or collection and call the callback at most once per batch no matter how many events
+   * are triggered
+   * @param target the model or collection to listen to
+   * @param events the events to listen to, e.g. "change:token.user.name" or [ "add", "remove" ]
+   * @param callback called after the batch of events
+   * @param context the context the callback is called with
+   * @returns {Function} that removes the listener and cancels any pending update when called
+   */
+  subscribe: function (target, events, callback, context) {
+    if (!target || typeof target.on !== "function") {
+      return function () {
+      };
+    }
+
+    events = normalizeEvents(target, events);
+
+    var active = true;
+    var update = function () {
+      if (active) {
+        callback.call(context);
+      }
+    };
+    var handler = function () {
+      if (_.indexOf(pending, update) === -1) {
+        pending.push(update);
+      }
+      if (!flushScheduled) {
+        flushScheduled = true;
+        binding.batchStrategy(binding.flushUpdates);
+      }
+    };
+
+    target.on(events, handler);
+
+    return function () {
+      if (!active) {
+        return;
+      }
+      active = false;
+      target.off(events, handler);
+      pending = _.without(pending, update);
+    };
+  },
+
+  /**
+   * Wrap a component so that it re-renders when the models or collections it receives as props trigger events
+   * @param Component the component to wrap
+   * @param bindings object mapping the names of props to the events to listen to on them, true for the default events
+   * @returns {Function} the wrapping component
+   */
+  withBackbone: function (Component, bindings) {
+    var React = getReact();
+    var propNames = _.keys(bindings);
+
+    var BackboneBinding = function (props) {
+      React.Component.call(this, props);
+      this._unsubscribers = [];
+    };
+    BackboneBinding.prototype = Object.create(React.Component.prototype);
+    BackboneBinding.prototype.constructor = BackboneBinding;
+    BackboneBinding.displayName = "withBackbone(" + (Component.displayName || Component.name || "Component") + ")";
+
+    _.extend(BackboneBinding.prototype, {
+      _subscribeAll: function () {
+        var forceUpdate = _.bind(this.forceUpdate, this, undefined);
+        this._unsubscribers = _.map(propNames, function (propName) {
+          var events = bindings[ propName ] === true ? null : bindings[ propName ];
+          return binding.subscribe(this.props[ propName ], events, forceUpdate);
+        }, this);
+      },
+
+      _unsubscribeAll: function () {
+        _.each(this._unsubscribers, function (unsubscribe) {
+          unsubscribe();
+        });
+        this._unsubscribers = [];
+      },
+
+      componentDidMount: function () {
+        this._subscribeAll();
+      },
+
+      componentDidUpdate: function (prevProps) {
+        var changed = _.some(propNames, function (propName) {
+          return prevProps[ propName ] !== this.props[ propName ];
+        }, this);
+        if (changed) {
+          this._unsubscribeAll();
+          this._subscribeAll();
+        }
+      },
+
+      componentWillUnmount: function () {
+        this._unsubscribeAll();
+      },
+
+      render: function () {
+        return React.createElement(Component, this.props);
+      }
+    });
+
+    return BackboneBinding;
+  },
+
+  /**
+   * Hook that re-renders the calling component when the model or collection triggers one of the events
+   * @param target the model or collection to listen to
+   * @param events the events to listen to, defaults to the standard events of the target
+   * @returns {*} the target
+   */
+  useBackbone: function (target, events) {
+    var React = getReact();
+    var forceRender = React.useReducer(function (count) {
+      return count + 1;
+    }, 0)[ 1 ];
+    var eventsKey = target ? normalizeEvents(target, events) : null;
+
+    React.useEffect(function () {
+      return binding.subscribe(target, eventsKey, forceRender);
+    }, [ target, eventsKey ]);
+
+    return target;
+  }
+};
+
+module.exports = binding;
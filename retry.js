@@ -0,0 +1,140 @@
+'use strict';
+
+var _ = require('underscore');
+var Promise = require('./promise');
+
+var defaultClock = {
+  setTimeout: function (fn, ms) {
+    return setTimeout(fn, ms);
+  },
+  clearTimeout: function (timer) {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Create a retry policy, which decides whether a failed request is sent again and how long to wait before it is
+ * Options:
+ *  retries: the maximum number of times a request is retried, default 3
+ *  baseDelay: the delay in milliseconds before the first retry, default 200
+ *  factor: the delay is multiplied by this for each following retry, default 2
+ *  maxDelay: the maximum delay in milliseconds, default 30000
+ *  jitter: when true, the default, each delay is a random fraction of the computed delay, so that clients that failed
+ *    together do not retry together
+ *  methods: the HTTP methods that are retried, default the idempotent methods GET, HEAD, OPTIONS, PUT and DELETE
+ *  statuses: the response statuses that are retried, default 408, 429, 500, 502, 503 and 504. Requests that fail
+ *    without a response are always retried, unless they were aborted
+ *  random: function returning a number in [0, 1) used for the jitter, default Math.random
+ *  clock: object with setTimeout and clearTimeout functions, default the global functions
+ * @param options
+ * @returns {{retries: number, shouldRetry: Function, delay: Function, clock: {}}}
+ */
+var policy = function (options) {
+  options = _.extend({
+    retries: 3,
+    baseDelay: 200,
+    factor: 2,
+    maxDelay: 30000,
+    jitter: true,
+    methods: [ "GET", "HEAD", "OPTIONS", "PUT", "DELETE" ],
+    statuses: [ 408, 429, 500, 502, 503, 504 ],
+    random: Math.random,
+    clock: defaultClock
+  }, options);
+
+  return {
+    retries: options.retries,
+    clock: options.clock,
+
+    /**
+     * Whether a request should be retried
+     * @param request the normalized request
+     * @param response the normalized response, or null if the request failed without one
+     * @param attempt the number of times the request was already retried
+     * @returns {boolean}
+     */
+    shouldRetry: function (request, response, attempt) {
+      if (attempt >= options.retries || !_.contains(options.methods, request.method)) {
+        return false;
+      }
+      return response === null || _.contains(options.statuses, response.status);
+    },
+
+    /**
+     * The number of milliseconds to wait before a retry
+     * @param attempt the number of times the request was already retried
+     * @returns {number}
+     */
+    delay: function (attempt) {
+      var delay = Math.min(options.maxDelay, options.baseDelay * Math.pow(options.factor, attempt));
+      return options.jitter ? Math.floor(options.random() * delay) : delay;
+    }
+  };
+};
+
+/**
+ * Wrap a transport so that failed requests are retried according to a policy
+ * @param send the transport
+ * @param retryPolicy the policy created by 'policy'
+ * @returns {Function} the transport, whose promises can be aborted while waiting to retry
+ */
+var wrap = function (send, retryPolicy) {
+  return function (request) {
+    var clock = retryPolicy.clock || defaultClock;
+    var current = null;
+    var timer = null;
+    var aborted = false;
+    var rejectRequest;
+
+    var promise = new Promise(function (resolve, reject) {
+      rejectRequest = reject;
+      var attempt = 0;
+      var retry = function () {
+        timer = clock.setTimeout(function () {
+          timer = null;
+          attempt++;
+          sendOnce();
+        }, retryPolicy.delay(attempt));
+      };
+      var sendOnce = function () {
+        current = send(request);
+        current.then(function (response) {
+          if (!aborted && retryPolicy.shouldRetry(request, response, attempt)) {
+            retry();
+          } else {
+            resolve(response);
+          }
+        }, function (error) {
+          if (!aborted && !(error && error.aborted) && retryPolicy.shouldRetry(request, null, attempt)) {
+            retry();
+          } else {
+            reject(error);
+          }
+        });
+      };
+      sendOnce();
+    });
+
+    promise.abort = function () {
+      if (aborted) {
+        return;
+      }
+      aborted = true;
+      if (timer !== null) {
+        clock.clearTimeout(timer);
+      }
+      if (current && typeof current.abort === "function") {
+        current.abort();
+      }
+      var error = new Error("Request aborted");
+      error.aborted = true;
+      rejectRequest(error);
+    };
+    return promise;
+  };
+};
+
+module.exports = {
+  policy: policy,
+  wrap: wrap
+};
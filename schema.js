@@ -0,0 +1,264 @@
+'use strict';
+
+var _ = require('underscore');
+var moment = require('moment');
+var attributePath = require('./attribute-path');
+
+var nullOrUndefined = function (val) {
+  return typeof val === "undefined" || val === null;
+};
+
+var compareValues = function (a, b) {
+  if (a < b) {
+    return -1;
+  }
+  if (b < a) {
+    return 1;
+  }
+  return 0;
+};
+
+var parseTimestamp = function (val) {
+  if (typeof val === "number" || val instanceof Date) {
+    return moment.utc(val);
+  }
+  if (typeof val === "string") {
+    return moment.utc(val, moment.ISO_8601);
+  }
+  return moment.isMoment(val) ? val : null;
+};
+
+/**
+ * The attribute types that can be declared in a schema. Each type has the following functions:
+ *  coerce (value, spec) turns a value that was set or parsed into the declared type
+ *  serialize (value, spec) turns a value of the type into its JSON representation
+ *  compare (a, b, spec, options) compares two values of the type for sorting, neither of which is null or undefined.
+ *    options.collator is the Intl.Collator of the collection, if any
+ * More types can be added to this object
+ */
+var types = {
+  string: {
+    coerce: function (val) {
+      return typeof val === "string" ? val : String(val);
+    },
+    compare: function (a, b, spec, options) {
+      if (options && options.collator) {
+        return options.collator.compare(String(a), String(b));
+      }
+      return compareValues(String(a).toUpperCase(), String(b).toUpperCase());
+    }
+  },
+
+  number: {
+    coerce: function (val) {
+      if (typeof val === "string" && val.trim().length === 0) {
+        return null;
+      }
+      return typeof val === "number" ? val : +val;
+    },
+    compare: function (a, b) {
+      return compareValues(+a, +b);
+    }
+  },
+
+  boolean: {
+    coerce: function (val) {
+      if (val === "false" || val === "0") {
+        return false;
+      }
+      return Boolean(val);
+    },
+    compare: function (a, b) {
+      return compareValues(Boolean(a), Boolean(b));
+    }
+  },
+
+  // stored as a Date
+  date: {
+    coerce: function (val) {
+      var ts = parseTimestamp(val);
+      return (ts && ts.isValid()) ? ts.toDate() : val;
+    },
+    serialize: function (val) {
+      return val instanceof Date ? val.toISOString() : val;
+    },
+    compare: function (a, b) {
+      return compareValues(+a, +b);
+    }
+  },
+
+  // stored as a moment in UTC
+  moment: {
+    coerce: function (val) {
+      var ts = parseTimestamp(val);
+      return (ts && ts.isValid()) ? ts : val;
+    },
+    serialize: function (val) {
+      return moment.isMoment(val) ? val.toISOString() : val;
+    },
+    compare: function (a, b) {
+      return compareValues(+a, +b);
+    }
+  },
+
+  // one of the declared 'values', compared by the order of the values
+  enum: {
+    coerce: function (val, spec) {
+      var match = _.find(spec.values, function (value) {
+        return String(value) === String(val);
+      });
+      return typeof match === "undefined" ? val : match;
+    },
+    compare: function (a, b, spec) {
+      return compareValues(_.indexOf(spec.values, a), _.indexOf(spec.values, b));
+    }
+  },
+
+  // a nested object whose attributes are declared by the nested 'schema'
+  object: {
+    coerce: function (val) {
+      return val;
+    }
+  }
+};
+
+// schema object -> flattened schema, computed once per schema
+var flattened = new WeakMap();
+
+/**
+ * Flatten a schema into a map of canonical path to the normalized type spec, with the nested schemas of object types
+ * declared at their full paths. Specs are normalized to objects with shape { type: string, ... }
+ * @param schema object of path to type name or spec
+ * @returns {{paths: {}, prefixes: {}}} the specs by path, and the set of paths that have specs declared below them
+ */
+var flatten = function (schema) {
+  if (flattened.has(schema)) {
+    return flattened.get(schema);
+  }
+  var result = { paths: {}, prefixes: {} };
+  var addAll = function (nested, parentKeys) {
+    _.each(nested, function (spec, path) {
+      spec = typeof spec === "string" ? { type: spec } : spec;
+      var keys = parentKeys.concat(attributePath.parse(path));
+      result.paths[ attributePath.stringify(keys) ] = spec;
+      for (var depth = 1; depth < keys.length; depth++) {
+        result.prefixes[ attributePath.stringify(keys.slice(0, depth)) ] = true;
+      }
+      if (spec.type === "object" && spec.schema) {
+        addAll(spec.schema, keys);
+      }
+    });
+  };
+  addAll(schema, []);
+  flattened.set(schema, result);
+  return result;
+};
+
+var getType = function (spec) {
+  var type = types[ spec.type ];
+  if (!type) {
+    throw new Error("Unknown schema type: " + spec.type);
+  }
+  return type;
+};
+
+/**
+ * Get the normalized spec declared for a path
+ * @param schema the schema
+ * @param path string path or array of keys
+ * @returns {*} the spec or undefined
+ */
+var specFor = function (schema, path) {
+  return schema ? flatten(schema).paths[ attributePath.stringify(attributePath.parse(path)) ] : undefined;
+};
+
+/**
+ * Coerce the value set at a path, including any nested values that have declared types
+ * Objects are copied if any of their nested values are coerced
+ * @param schema the schema
+ * @param keys the keys of the path the value is set at
+ * @param value the value being set
+ * @returns {*} the coerced value
+ */
+var coerce = function (schema, keys, value) {
+  if (!schema) {
+    return value;
+  }
+  var flat = flatten(schema);
+  var path = attributePath.stringify(keys);
+  var spec = flat.paths[ path ];
+  if (spec && !nullOrUndefined(value)) {
+    value = getType(spec).coerce(value, spec);
+  }
+  if (flat.prefixes[ path ] && _.isObject(value) && !_.isFunction(value) && typeof value.get !== "function") {
+    var copy = null;
+    _.each(value, function (nestedValue, key) {
+      var coerced = coerce(schema, keys.concat([ key ]), nestedValue);
+      if (coerced !== nestedValue) {
+        copy = copy || _.clone(value);
+        copy[ key ] = coerced;
+      }
+    });
+    return copy || value;
+  }
+  return value;
+};
+
+/**
+ * Serialize every value in the JSON whose type declares how it is serialized
+ * @param schema the schema
+ * @param json the JSON of a model, which is copied where it is modified
+ * @returns {*} the serialized JSON
+ */
+var serialize = function (schema, json) {
+  if (!schema) {
+    return json;
+  }
+  _.each(flatten(schema).paths, function (spec, path) {
+    var type = getType(spec);
+    if (typeof type.serialize !== "function") {
+      return;
+    }
+    var keys = attributePath.parse(path);
+    var ptr = json;
+    var i;
+    for (i = 0; i < keys.length && _.isObject(ptr); i++) {
+      ptr = ptr[ keys[ i ] ];
+    }
+    if (i < keys.length || nullOrUndefined(ptr)) {
+      return;
+    }
+    var serialized = type.serialize(ptr, spec);
+
+    // copy each object along the path so that the attributes of the model are not modified
+    json = _.clone(json);
+    ptr = json;
+    for (i = 0; i < keys.length - 1; i++) {
+      ptr[ keys[ i ] ] = _.clone(ptr[ keys[ i ] ]);
+      ptr = ptr[ keys[ i ] ];
+    }
+    ptr[ keys[ keys.length - 1 ] ] = serialized;
+  });
+  return json;
+};
+
+/**
+ * Compare two values using the type declared in a spec
+ * @param spec the normalized spec
+ * @param a first value, not null or undefined
+ * @param b second value, not null or undefined
+ * @param options passed to the compare function of the type, e.g. the collator
+ * @returns {number}
+ */
+var compare = function (spec, a, b, options) {
+  var type = getType(spec);
+  return typeof type.compare === "function" ? type.compare(a, b, spec, options) : 0;
+};
+
+module.exports = {
+  types: types,
+  specFor: specFor,
+  coerce: coerce,
+  serialize: serialize,
+  compare: compare
+};
@@ -0,0 +1,89 @@
+'use strict';
+
+var _ = require('underscore');
+
+/**
+ * The error that the promises returned by fetch, save and destroy are rejected with
+ * Properties:
+ *  status: the HTTP status of the response, or null if there was no response
+ *  body: the parsed body of the response, or null if there was no response
+ *  validationErrors: the validation error of the model if the request was not sent because the model is invalid
+ *  aborted: whether the request was cancelled
+ *  response: the underlying response object, e.g. the jqXHR
+ *  failures: the models that could not be saved when saving a collection, as an array of { model, error }
+ *  queued: whether the request failed without a response and was added to an offline queue to be sent later
+ * @param message description of the error
+ * @param props the properties listed above
+ * @constructor
+ */
+var SyncError = function (message, props) {
+  this.name = "SyncError";
+  this.message = message;
+  _.extend(this, {
+    status: null,
+    body: null,
+    validationErrors: null,
+    aborted: false,
+    response: null,
+    failures: null,
+    queued: false
+  }, props);
+  if (typeof Error.captureStackTrace === "function") {
+    Error.captureStackTrace(this, SyncError);
+  } else {
+    this.stack = (new Error(message)).stack;
+  }
+};
+
+SyncError.prototype = Object.create(Error.prototype);
+SyncError.prototype.constructor = SyncError;
+
+/**
+ * Create the error for a failed or aborted request from its response
+ * @param response the response object, e.g. the jqXHR
+ * @param aborted whether the request was cancelled
+ * @returns {SyncError}
+ */
+SyncError.fromResponse = function (response, aborted) {
+  var status = (response && typeof response.status === "number" && response.status > 0) ? response.status : null;
+  var body = null;
+  if (response) {
+    if (typeof response.responseJSON !== "undefined") {
+      body = response.responseJSON;
+    } else if (typeof response.responseText === "string" && response.responseText.length > 0) {
+      try {
+        body = JSON.parse(response.responseText);
+      } catch (e) {
+        body = response.responseText;
+      }
+    }
+  }
+
+  var message = aborted ? "Request aborted" : ("Request failed" + (status !== null ? " with status " + status : ""));
+  return new SyncError(message, {
+    status: status,
+    body: body,
+    aborted: Boolean(aborted),
+    response: response || null
+  });
+};
+
+/**
+ * Create the error for a request that was not sent because the model is invalid
+ * @param validationErrors the validation error of the model
+ * @returns {SyncError}
+ */
+SyncError.invalid = function (validationErrors) {
+  return new SyncError("Validation failed", { validationErrors: validationErrors });
+};
+
+/**
+ * Create the error for a collection save in which some of the models could not be saved
+ * @param failures array of { model, error } for each model that could not be saved
+ * @returns {SyncError}
+ */
+SyncError.partial = function (failures) {
+  return new SyncError(failures.length + " model(s) could not be saved", { failures: failures });
+};
+
+module.exports = SyncError;
@@ -2,6 +2,28 @@ var Backbone = require('./index.js');
 var _ = require("underscore");
 var assert = require('assert');
 
+// a transport that answers each request with respond (request), which returns { status, body, headers } or throws to
+// fail the request without a response
+var stubTransport = function (respond) {
+  return function (request) {
+    var response = new Promise(function (resolve) {
+      var result = respond(request);
+      resolve(Backbone.transports.createResponse(result.status, function (name) {
+        return (result.headers || {})[ name ];
+      }, JSON.stringify(result.body)));
+    });
+    response.abort = _.noop;
+    return response;
+  };
+};
+
+// a response for stubTransport with the status and body
+var status = function (code, body, headers) {
+  return function () {
+    return { status: code, body: body || {}, headers: headers };
+  };
+};
+
 describe('Model', function () {
   describe('#get() and #set()', function () {
     var model = new Backbone.Model();
@@ -66,6 +88,70 @@ describe('Model', function () {
       model.set('my.nested.field', 'changed');
     });
 
+    it('should emit events for the ancestors of nested fields', function () {
+      var m = new Backbone.Model();
+      var events = [];
+      m.on("all", function (eventName) {
+        events.push(eventName);
+      });
+
+      m.set("token.user.name", "Sally");
+      assert(_.isEqual(events, [ "change:token.user.name", "change:token.user", "change:token", "change" ]));
+    });
+
+    it('should emit events for the nested fields that changed when setting an object', function () {
+      var m = new Backbone.Model({ token: { user: { name: "Sally", age: 30 }, expires: 1 } });
+      var events = [];
+      m.on("all", function (eventName) {
+        events.push(eventName);
+      });
+
+      m.set("token", { user: { name: "Bob", age: 30 }, expires: 1, scope: "all" });
+      assert(_.isEqual(events, [ "change:token.user.name", "change:token.user", "change:token.scope", "change:token", "change" ]));
+    });
+
+    it('should keep arrays as arrays when setting array items', function () {
+      var m = new Backbone.Model({ items: [ { name: "a" }, { name: "b" } ] });
+      var items = m.get("items");
+
+      m.set("items.0.name", "c");
+      m.set("items[1].name", "d");
+      assert(_.isArray(m.get("items")));
+      assert(_.isEqual(m.get("items"), [ { name: "c" }, { name: "d" } ]));
+      assert(items[ 0 ].name === "a");
+      assert(m.get("items[0].name") === "c");
+
+      m.set("created[0].name", "e");
+      assert(_.isEqual(m.get("created"), [ { name: "e" } ]));
+    });
+
+    it('should support escaped and bracket-quoted keys', function () {
+      var m = new Backbone.Model();
+      var fired = false;
+      m.on("change:domains.example\\.com", function () {
+        fired = true;
+      });
+
+      m.set("domains.example\\.com", 1);
+      assert(fired);
+      assert(_.isEqual(m.get("domains"), { "example.com": 1 }));
+      assert(m.get('domains["example.com"]') === 1);
+      assert(m.get("domains['example.com']") === 1);
+    });
+
+    it('should support nested paths in has and unset', function () {
+      var m = new Backbone.Model({ token: { user: { name: "Sally", age: 1 } }, items: [ 1, 2, 3 ] });
+      assert(m.has("token.user.name"));
+      assert(!m.has("token.user.email"));
+
+      m.unset("token.user.name");
+      assert(_.isEqual(m.get("token"), { user: { age: 1 } }));
+      assert(!m.has("token.user.name"));
+
+      m.unset("items[1]");
+      assert(_.isEqual(m.get("items"), [ 1, 3 ]));
+    });
+
   });
 });
 
@@ -108,8 +194,249 @@ describe("#parse()", function () {
 
     assert(santas.get(2).get("secretSanta.secretSanta.name") === "Sally");
   });
+
+  it('should resolve references that appear before their ids', function () {
+    var m = new Backbone.Model({
+      two: { "@ref": "1" },
+      one: { "@id": "1", name: "hello" }
+    }, { parse: true });
+
+    assert(m.get("two.name") === "hello");
+    assert(m.get("two") === m.get("one"));
+  });
+
+  it('should not leave any markers on decoded objects', function () {
+    var m = new Backbone.Model({ one: { "@id": "1", name: "hello" }, two: { "@ref": "1" } }, { parse: true });
+
+    assert(_.isEqual(_.keys(m.get("one")), [ "name" ]));
+    assert(_.isEqual(m.toJSON(), { one: { name: "hello" }, two: { name: "hello" } }));
+    assert(m.parse(m.attributes).one === m.get("one"));
+  });
+});
+
+describe("#toJSON()", function () {
+  var jsogDecode = require('./jsog-decode');
+
+  it('should encode shared references with JSOG when enabled', function () {
+    var user = { name: "Sally" };
+    var m = new (Backbone.Model.extend({ jsog: true }))({ owner: user, creator: user });
+
+    var json = m.toJSON();
+    assert(json.owner[ "@id" ] === "2");
+    assert(_.isEqual(json.creator, { "@ref": "2" }));
+    assert(_.isEqual(new Backbone.Model().set(user).toJSON(), user));
+    assert(_.isEqual(m.toJSON({ jsog: false }), { owner: user, creator: user }));
+  });
+
+  it('should encode circular collections with JSOG when enabled', function () {
+    var sally = { id: 1, name: "Sally" }, bob = { id: 2, name: "Bob", secretSanta: sally };
+    sally.secretSanta = bob;
+    var santas = new (Backbone.Collection.extend({ jsog: true }))([ sally, bob ]);
+
+    var json = JSON.parse(JSON.stringify(santas));
+    var decoded = jsogDecode(json);
+    assert(decoded[ 0 ].secretSanta.secretSanta.name === "Sally");
+    assert(decoded[ 1 ].secretSanta.secretSanta.name === "Bob");
+    assert(decoded[ 0 ].secretSanta.secretSanta.secretSanta === decoded[ 0 ].secretSanta);
+  });
+});
+
+
+describe('IdentityMap', function () {
+  var identityMap = new Backbone.IdentityMap({ maxSize: 3 });
+  var User = Backbone.Model.extend({ identityMap: identityMap });
+  var Users = Backbone.Collection.extend({ model: User });
+
+  beforeEach(function () {
+    identityMap.clear();
+  });
+
+  it('should share instances between collections', function () {
+    var a = new Users([ { id: 1, name: "Sally" } ]);
+    var b = new Users([ { id: 1, name: "Sal", age: 3 } ], { parse: true });
+
+    assert(a.get(1) === b.get(1));
+    assert(a.get(1).get("name") === "Sal");
+    assert(User.findOrCreate({ id: 1 }) === a.get(1));
+    assert(User.findOrCreate({ id: 2 }) !== a.get(1));
+  });
+
+  it('should merge parsed responses into the registered instance', function () {
+    var sally = User.findOrCreate({ id: 1, name: "Sally" });
+    var other = new User({ id: 1 });
+    var response = { id: 1, name: "Sal" };
+    assert(_.isEqual(other.parse(response), response) && sally.get("name") === "Sally");
+    other.set(other.parse(response), { xhr: {} });
+
+    assert(sally.get("name") === "Sal");
+    assert(identityMap.get(User, 1) === sally);
+  });
+
+  it('should parse the attributes of a new model once', function () {
+    var parses = 0;
+    var Counted = User.extend({
+      parse: function (response) {
+        parses++;
+        return response;
+      }
+    });
+    var sally = Counted.findOrCreate({ id: 1, name: "Sally" });
+    var again = Counted.findOrCreate({ id: 1, name: "Sal" }, { parse: true });
+    assert(again === sally && sally.get("name") === "Sal" && parses === 1);
+  });
+
+  it('should evict the least recently used and unreferenced models', function () {
+    var users = new Users([ { id: 1 }, { id: 2 }, { id: 3 } ]);
+    identityMap.get(User, 1);
+    User.findOrCreate({ id: 4 });
+
+    assert(identityMap.size(User) === 3);
+    assert(typeof identityMap.get(User, 2) === "undefined");
+
+    users.remove(1);
+    assert(identityMap.gc() === 2);
+    assert(identityMap.get(User, 3) === users.get(3));
+  });
+});
+
+describe('relations', function () {
+  var Team = Backbone.Model.extend({ identityMap: new Backbone.IdentityMap() });
+  var User = Backbone.Model.extend();
+  var Task = Backbone.Model.extend();
+  var Project = Backbone.Model.extend({
+    relations: {
+      owner: { type: "hasOne", model: User },
+      tasks: { type: "hasMany", model: Task },
+      team: { type: "belongsTo", model: Team }
+    }
+  });
+
+  it('should create nested models and collections', function () {
+    var p = new Project({ owner: { name: "Sally" }, tasks: [ { id: 1, title: "a" } ], team: 5 }, { parse: true });
+
+    assert(p.get("owner") instanceof User);
+    assert(p.get("owner.name") === "Sally");
+    assert(p.get("tasks") instanceof Backbone.Collection);
+    assert(p.get("tasks").get(1) instanceof Task);
+    assert(p.get("tasks.0.title") === "a");
+    assert(p.get("team") === Team.findOrCreate({ id: 5 }));
+  });
+
+  it('should parse the models of nested collections', function () {
+    var ParsedTask = Task.extend({
+      parse: function (response) {
+        return { id: response.id, title: response.t };
+      }
+    });
+    var ParsedProject = Project.extend({ relations: { tasks: { type: "hasMany", model: ParsedTask } } });
+
+    var p = new ParsedProject({ tasks: [ { id: 1, t: "a" } ] }, { parse: true });
+    var tasks = p.get("tasks");
+    assert(tasks.get(1).get("title") === "a");
+    // nested collections are not paged, so nothing is added to the records
+    assert(_.isEqual(p.toJSON(), { tasks: [ { id: 1, title: "a" } ] }));
+
+    p.set(p.parse({ tasks: [ { id: 1, t: "b" } ] }), { parse: true });
+    assert(p.get("tasks") === tasks && tasks.get(1).get("title") === "b");
+  });
+
+  it('should parse nested models', function () {
+    var ParsedUser = User.extend({
+      parse: function (response) {
+        return response.user;
+      }
+    });
+    var ParsedProject = Project.extend({ relations: { owner: { type: "hasOne", model: ParsedUser } } });
+
+    var p = new ParsedProject({ owner: { user: { id: 1, name: "Sally" } } }, { parse: true });
+    var owner = p.get("owner");
+    assert(owner.get("name") === "Sally" && !owner.has("user"));
+
+    p.set(p.parse({ owner: { user: { id: 1, name: "Bob" } } }), { parse: true });
+    assert(p.get("owner") === owner && owner.get("name") === "Bob" && !owner.has("user"));
+  });
+
+  it('should merge sets into the existing nested models', function () {
+    var p = new Project({ owner: { name: "Sally" }, tasks: [ { id: 1, title: "a" } ] });
+    var owner = p.get("owner"), tasks = p.get("tasks");
+
+    p.set({ owner: { name: "Bob" }, tasks: [ { id: 1, title: "b" }, { id: 2 } ] });
+    p.set("owner.age", 3);
+    assert(p.get("owner") === owner && owner.get("name") === "Bob" && owner.get("age") === 3);
+    assert(p.get("tasks") === tasks && tasks.length === 2 && tasks.get(1).get("title") === "b");
+  });
+
+  it('should bubble nested events as path changes', function () {
+    var p = new Project({ owner: { name: "Sally" }, tasks: [ { id: 1, title: "a" } ] });
+    var events = [];
+    p.on("all", function (eventName) {
+      events.push(eventName);
+    });
+
+    p.set("owner.name", "Bob");
+    assert(_.isEqual(events, [ "change:owner.name", "change:owner", "change" ]));
+
+    events = [];
+    p.get("tasks").get(1).set("title", "b");
+    assert(_.isEqual(events, [ "change:tasks.0.title", "change:tasks.0", "change:tasks", "change" ]));
+
+    events = [];
+    p.get("tasks").add({ id: 2 });
+    assert(_.isEqual(events, [ "change:tasks", "change" ]));
+  });
+
+  it('should serialize nested models as ids or embedded objects', function () {
+    var p = new Project({ owner: { name: "Sally" }, tasks: [ { id: 1 } ], team: { id: 5, name: "A" } });
+    assert(_.isEqual(p.toJSON(), { owner: { name: "Sally" }, tasks: [ { id: 1 } ], team: 5 }));
+  });
 });
 
+describe('schema', function () {
+  var Place = Backbone.Model.extend({
+    schema: {
+      createdAt: "date",
+      visits: "number",
+      open: "boolean",
+      size: { type: "enum", values: [ "small", "medium", "large" ] },
+      address: { type: "object", schema: { zip: "string" } }
+    }
+  });
+
+  it('should coerce parsed and set values', function () {
+    var p = new Place({ createdAt: "2015-10-01T00:00:00Z", visits: "12", open: "false", address: { zip: 2134 } }, {
+      parse: true
+    });
+
+    assert(p.get("createdAt") instanceof Date);
+    assert(p.get("visits") === 12);
+    assert(p.get("open") === false);
+    assert(p.get("address.zip") === "2134");
+
+    p.set("address.zip", 10001);
+    assert(p.get("address.zip") === "10001");
+  });
+
+  it('should serialize values back in toJSON', function () {
+    var p = new Place({ createdAt: "2015-10-01T00:00:00Z", address: { zip: "02134" } });
+    var json = p.toJSON();
+    assert(json.createdAt === "2015-10-01T00:00:00.000Z");
+    assert(p.get("createdAt") instanceof Date);
+  });
+
+  it('should sort by the declared type', function () {
+    var places = new (Backbone.Collection.extend({ model: Place }))([
+      { id: 1, size: "large", address: { zip: "9" } },
+      { id: 2, size: "small", address: { zip: "10" } },
+      { id: 3, size: "medium", address: { zip: "02134" } }
+    ]);
+
+    places.addSort("size").sort();
+    assert(_.isEqual(places.pluck("id"), [ 2, 3, 1 ]));
+
+    places.resetSorts().addSort("address.zip").sort();
+    assert(_.isEqual(places.pluck("id"), [ 3, 2, 1 ]));
+  });
+});
 
 describe('#save() invalid model', function () {
   it('should return a promise', function () {
@@ -124,6 +451,1639 @@ describe('#save() invalid model', function () {
     });
 
     var p = m.save();
-    assert(typeof p.then === "function");
+    assert(typeof p.then === "function" && p instanceof Promise);
+    return p.then(function () {
+      assert(false, 'should not resolve');
+    }, function (error) {
+      assert(error instanceof Backbone.SyncError);
+      assert(error.validationErrors === "Sally is a reserved name.");
+    });
+  });
+});
+
+describe('validation', function () {
+  var v = Backbone.validators;
+  var Address = Backbone.Model.extend({
+    validation: {
+      "address.zip": [ v.required(), v.pattern(/^\d{5}$/, "must be 5 digits") ],
+      "address.street": function (value) {
+        return Promise.resolve(value === "Nowhere" ? "does not exist" : null);
+      }
+    }
+  });
+
+  it('should validate nested paths into an error map', function () {
+    var m = new Address({ address: { street: "Nowhere", zip: "123" } });
+    return m.validateAsync().then(function (errors) {
+      assert(_.isEqual(errors, { "address.zip": [ "must be 5 digits" ], "address.street": [ "does not exist" ] }));
+      assert(!m.isFieldValid("address.zip"));
+      assert(_.isEqual(m.getErrors("address.street"), [ "does not exist" ]));
+
+      m.set("address.zip", "02134");
+      return m.validateAsync(null, { paths: [ "address.zip" ] });
+    }).then(function () {
+      assert(m.isFieldValid("address.zip"));
+      assert(!m.isFieldValid("address.street"));
+    });
+  });
+
+  it('should validate synchronous rules when setting with validate', function () {
+    var m = new Address();
+    assert(m.set("address.zip", "abc", { validate: true }) === false);
+    assert(typeof m.get("address.zip") === "undefined");
+    assert(_.isEqual(m.getErrors(), { "address.zip": [ "must be 5 digits" ] }));
+  });
+
+  it('should reject saves with the error map', function () {
+    var m = new Address({ address: { street: "Nowhere" } });
+    return m.save().then(function () {
+      assert(false, 'should not resolve');
+    }, function (error) {
+      assert(_.isEqual(error.validationErrors, {
+        "address.zip": [ "is required" ],
+        "address.street": [ "does not exist" ]
+      }));
+    });
+  });
+
+  it('should run each rule once per save and per validated set', function () {
+    var calls = { zip: 0, street: 0 };
+    var Counted = Backbone.Model.extend({
+      urlRoot: "/addresses",
+      validation: {
+        zip: function () {
+          calls.zip++;
+        },
+        street: function () {
+          calls.street++;
+          return Promise.resolve(null);
+        }
+      },
+      sync: function (method, model, options) {
+        options.success({});
+        return Promise.resolve({});
+      }
+    });
+    var m = new Counted({ zip: "02134", street: "Main" });
+    m.set({ zip: "02135", street: "Elm" }, { validate: true });
+    assert(calls.zip === 1 && calls.street === 1);
+    return m.save().then(function () {
+      assert(calls.zip === 2 && calls.street === 2);
+    });
+  });
+});
+
+describe('React binding', function () {
+  var React = require('react');
+  var TestRenderer = require('react-test-renderer');
+  global.IS_REACT_ACT_ENVIRONMENT = true;
+
+  it('should batch multiple events into one update', function () {
+    var model = new Backbone.Model();
+    var calls = 0;
+    var unsubscribe = Backbone.subscribe(model, "change:token.user.name change", function () {
+      calls++;
+    });
+
+    model.set("token.user.name", "a");
+    model.set("token.user.name", "b");
+    Backbone.flushUpdates();
+    assert(calls === 1);
+
+    unsubscribe();
+    model.set("token.user.name", "c");
+    Backbone.flushUpdates();
+    assert(calls === 1);
+  });
+
+  it('should re-render a wrapped component and unsubscribe on unmount', function () {
+    var renders = 0;
+    var Name = function (props) {
+      renders++;
+      return React.createElement("span", null, props.model.get("token.user.name"));
+    };
+    var Bound = Backbone.withBackbone(Name, { model: "change:token.user.name", list: true });
+
+    var model = new Backbone.Model({ token: { user: { name: "Sally" } } });
+    var list = new Backbone.Collection();
+    var renderer;
+    TestRenderer.act(function () {
+      renderer = TestRenderer.create(React.createElement(Bound, { model: model, list: list }));
+    });
+    assert(renderer.toJSON().children[ 0 ] === "Sally");
+
+    TestRenderer.act(function () {
+      model.set("token.user.name", "Bob");
+      list.add({ id: 1 });
+      Backbone.flushUpdates();
+    });
+    assert(renderer.toJSON().children[ 0 ] === "Bob");
+    assert(renders === 2);
+
+    TestRenderer.act(function () {
+      renderer.unmount();
+    });
+    assert(!model._events || !model._events[ "change:token.user.name" ]);
+    assert(!list._events || !list._events.add);
+  });
+
+  it('should re-render components using the hook', function () {
+    var Count = function (props) {
+      var list = Backbone.useBackbone(props.list, "add remove");
+      return React.createElement("span", null, String(list.length));
+    };
+
+    var list = new Backbone.Collection();
+    var renderer;
+    TestRenderer.act(function () {
+      renderer = TestRenderer.create(React.createElement(Count, { list: list }));
+    });
+    TestRenderer.act(function () {
+      list.add([ { id: 1 }, { id: 2 } ]);
+      Backbone.flushUpdates();
+    });
+    assert(renderer.toJSON().children[ 0 ] === "2");
+
+    TestRenderer.act(function () {
+      renderer.unmount();
+    });
+    assert(!list._events || !list._events.add);
+  });
+});
+
+describe('promise API', function () {
+  var originalTransport = Backbone.transport;
+  var requests;
+
+  // a stub transport that records the requests so that tests can respond to them
+  beforeEach(function () {
+    requests = [];
+    Backbone.transport = function (request) {
+      var resolveRequest, rejectRequest;
+      var pending = new Promise(function (resolve, reject) {
+        resolveRequest = resolve;
+        rejectRequest = reject;
+      });
+      pending.request = request;
+      pending.abort = function () {
+        var error = new Error("aborted");
+        error.aborted = true;
+        rejectRequest(error);
+      };
+      pending.respond = function (status, body, headers) {
+        resolveRequest(Backbone.transports.createResponse(status, function (name) {
+          return (headers || {})[ name ];
+        }, JSON.stringify(body)));
+        return pending.then(function () {
+        });
+      };
+      requests.push(pending);
+      return pending;
+    };
+  });
+
+  afterEach(function () {
+    Backbone.transport = originalTransport;
+  });
+
+  it('should resolve with the model', function () {
+    var m = new (Backbone.Model.extend({ urlRoot: "/users" }))({ id: 1 });
+    var p = m.fetch();
+    requests[ 0 ].respond(200, { id: 1, name: "Sally" });
+    return p.then(function (result) {
+      assert(result === m);
+      assert(m.get("name") === "Sally");
+    });
+  });
+
+  it('should reject with the status and body', function () {
+    var m = new (Backbone.Model.extend({ urlRoot: "/users" }))({ id: 1 });
+    var p = m.destroy();
+    requests[ 0 ].respond(409, { message: "in use" });
+    return p.then(function () {
+      assert(false, 'should not resolve');
+    }, function (error) {
+      assert(error.status === 409 && !error.aborted);
+      assert(_.isEqual(error.body, { message: "in use" }));
+    });
+  });
+
+  it('should reject superseded and cancelled collection fetches as aborted', function () {
+    var c = new (Backbone.Collection.extend({ url: "/users" }))();
+    var first = c.fetch();
+    var second = c.fetch();
+    assert(requests.length === 2);
+    second.cancel();
+
+    return Promise.all([
+      first.then(null, function (error) {
+        return error;
+      }),
+      second.then(null, function (error) {
+        return error;
+      })
+    ]).then(function (errors) {
+      assert(errors[ 0 ].aborted && errors[ 1 ].aborted);
+      assert(c._activeFetch === null);
+    });
+  });
+
+  describe('request state', function () {
+    it('should track fetches, including superseded ones', function () {
+      var c = new (Backbone.Collection.extend({ url: "/users" }))();
+      var events = [];
+      c.on("abort", function (target, error, options) {
+        events.push("abort:" + options.operation);
+      });
+      c.on("settled", function (target, error, options) {
+        events.push("settled:" + (error ? (error.aborted ? "aborted" : error.status) : "ok"));
+      });
+      var first = c.fetch();
+      var second = c.fetch();
+      assert(c.isFetching() && !c.isSaving() && c.lastSyncedAt() === null);
+      requests[ 1 ].respond(500, { message: "down" });
+      return second.then(null, function () {
+        return first.then(null, function () {
+        });
+      }).then(function () {
+        assert(!c.isFetching() && c.lastError().status === 500);
+        assert(_.isEqual(events, [ "abort:fetch", "settled:aborted", "settled:500" ]));
+        var third = c.fetch();
+        requests[ 2 ].respond(200, []);
+        return third;
+      }).then(function () {
+        assert(c.lastError() === null && c.lastSyncedAt() instanceof Date);
+      });
+    });
+
+    it('should ignore the response of a save that was followed by another save', function () {
+      var m = new (Backbone.Model.extend({ urlRoot: "/users" }))({ id: 1, name: "Sally" });
+      var syncs = 0;
+      m.on("sync", function () {
+        syncs++;
+      });
+      var first = m.save({ name: "Sal" }, { wait: true });
+      var second = m.save({ name: "Bob" }, { wait: true });
+      assert(m.isSaving());
+      requests[ 1 ].respond(200, { id: 1, name: "Bob" });
+      return second.then(function () {
+        requests[ 0 ].respond(200, { id: 1, name: "Sal" });
+        return first;
+      }).then(function () {
+        // with wait the attributes of the ignored save are not set either
+        assert(m.get("name") === "Bob" && !m.isSaving() && !m.isDirty() && syncs === 1);
+      });
+    });
+  });
+
+  describe('QueryCache', function () {
+    var Users = Backbone.Collection.extend({ url: "/users" });
+
+    it('should use the stored response for a request that was already sent', function () {
+      var c = new Users();
+      c.cache = new Backbone.QueryCache();
+      c.setPageSize(2);
+      var total = { "X-Total-Count": "4" };
+
+      var first = c.fetch();
+      requests[ 0 ].respond(200, [ { id: 1 }, { id: 2 } ], total);
+      return first.then(function () {
+        var second = c.nextPage().fetch();
+        requests[ 1 ].respond(200, [ { id: 3 }, { id: 4 } ], total);
+        return second;
+      }).then(function () {
+        return c.prevPage().fetch();
+      }).then(function () {
+        assert(requests.length === 2);
+        assert(_.isEqual(c.pluck("id"), [ 1, 2 ]) && c.size() === 4);
+        var uncached = c.fetch({ cache: false });
+        assert(requests.length === 3);
+        requests[ 2 ].respond(200, [ { id: 1 }, { id: 2 } ], total);
+        return uncached;
+      });
+    });
+
+    it('should update the collection when a stale response is revalidated', function () {
+      var c = new Users();
+      c.cache = new Backbone.QueryCache({ ttl: 0, staleWhileRevalidate: true });
+
+      var first = c.fetch();
+      requests[ 0 ].respond(200, [ { id: 1, name: "Sally" } ]);
+      return first.then(function () {
+        return c.fetch();
+      }).then(function () {
+        assert(requests.length === 2 && c.get(1).get("name") === "Sally");
+        // respond resolves after the collection handled the response
+        return requests[ 1 ].respond(200, [ { id: 1, name: "Sal" } ]);
+      }).then(function () {
+        assert(c.get(1).get("name") === "Sal");
+      });
+    });
+
+    it('should ignore errors while updating from a request sent in the background', function () {
+      var cache = new Backbone.QueryCache({ ttl: 0, staleWhileRevalidate: true });
+      var request = { method: "GET", url: "/users", query: {}, headers: {} };
+      var send = stubTransport(status(200, []));
+      var unhandled = [];
+      var onUnhandled = function (reason) {
+        unhandled.push(reason);
+      };
+      process.on("unhandledRejection", onUnhandled);
+
+      cache.set(request, Backbone.transports.createResponse(200, null, "[]"));
+      return cache.send(request, send, function () {
+        throw new Error("Listener failed");
+      }).then(function () {
+        return new Promise(function (resolve) {
+          setTimeout(resolve, 10);
+        });
+      }).then(function () {
+        process.removeListener("unhandledRejection", onUnhandled);
+        assert(unhandled.length === 0);
+      }, function (error) {
+        process.removeListener("unhandledRejection", onUnhandled);
+        throw error;
+      });
+    });
+
+    it('should invalidate the responses when a model is saved or destroyed', function () {
+      var cache = new Backbone.QueryCache({ maxSize: 1 });
+      var c = new Users();
+      c.cache = cache;
+
+      var first = c.fetch();
+      requests[ 0 ].respond(200, [ { id: 1 } ]);
+      return first.then(function () {
+        var fetch = c.get(1).fetch();
+        requests[ 1 ].respond(200, { id: 1 });
+        return fetch;
+      }).then(function () {
+        assert(cache.size() === 1, 'fetching a model keeps the responses');
+        var save = c.get(1).save({ name: "a" });
+        requests[ 2 ].respond(200, { id: 1, name: "a" });
+        return save;
+      }).then(function () {
+        assert(cache.size() === 0);
+        var refetch = c.fetch();
+        requests[ 3 ].respond(200, [ { id: 1, name: "a" } ]);
+        return refetch;
+      }).then(function () {
+        assert(cache.size() === 1);
+        var destroy = c.get(1).destroy();
+        requests[ 4 ].respond(204);
+        return destroy;
+      }).then(function () {
+        assert(cache.size() === 0);
+      });
+    });
+  });
+
+  describe('#loadMore() and #loadPrevious()', function () {
+    var Feed = Backbone.Collection.extend({ url: "/feed" });
+    var page = function (ids) {
+      return _.map(ids, function (id) {
+        return { id: id };
+      });
+    };
+    var ids = function (c) {
+      return c.pluck("id");
+    };
+
+    it('should append pages, merging duplicates, until there are no more records', function () {
+      var c = new Feed();
+      c.setPageSize(2);
+      var total = { "X-Total-Count": "5" };
+
+      var p = c.loadMore();
+      assert(c.loadMore() === p, 'concurrent loads share the request');
+      requests[ 0 ].respond(200, page([ 1, 2 ]), total);
+      return p.then(function () {
+        assert(_.isEqual(ids(c), [ 1, 2 ]) && c.hasMore());
+        var next = c.loadMore();
+        assert(_.isEqual(requests[ 1 ].request.query, { start: 2, count: 2, sort: [] }));
+        requests[ 1 ].respond(200, page([ 2, 3 ]), total);
+        return next;
+      }).then(function () {
+        assert(_.isEqual(ids(c), [ 1, 2, 3 ]));
+        var next = c.loadMore();
+        requests[ 2 ].respond(200, page([ 5 ]), total);
+        return next;
+      }).then(function () {
+        assert(_.isEqual(ids(c), [ 1, 2, 3, 5 ]));
+        assert(_.isEqual(c.getLoadedPages(), { first: 0, last: 2 }) && !c.hasMore());
+        return c.loadMore();
+      }).then(function (result) {
+        assert(result === c && requests.length === 3);
+      });
+    });
+
+    it('should remove models over maxModels and load them again with loadPrevious', function () {
+      var c = new Feed();
+      c.maxModels = 3;
+      c.setPageSize(2);
+      var total = { "X-Total-Count": "6" };
+
+      var p = c.loadMore();
+      requests[ 0 ].respond(200, page([ 1, 2 ]), total);
+      return p.then(function () {
+        var next = c.loadMore();
+        requests[ 1 ].respond(200, page([ 3, 4 ]), total);
+        return next;
+      }).then(function () {
+        assert(_.isEqual(ids(c), [ 2, 3, 4 ]));
+        assert(_.isEqual(c.getLoadedPages(), { first: 1, last: 1 }) && c.hasPrevious());
+        var prev = c.loadPrevious();
+        assert(requests.length === 3 && requests[ 2 ].request.query.start === 0);
+        requests[ 2 ].respond(200, page([ 1, 2 ]), total);
+        return prev;
+      }).then(function () {
+        assert(_.isEqual(ids(c), [ 1, 2, 3 ]));
+        assert(_.isEqual(c.getLoadedPages(), { first: 0, last: 0 }));
+      });
+    });
+
+    it('should not track the models removed over maxModels as deletes', function () {
+      var c = new Feed();
+      c.maxModels = 4;
+      c.setPageSize(2);
+      var total = { "X-Total-Count": "6" };
+
+      var p = c.loadMore();
+      requests[ 0 ].respond(200, page([ 1, 2 ]), total);
+      return p.then(function () {
+        var next = c.loadMore();
+        requests[ 1 ].respond(200, page([ 3, 4 ]), total);
+        return next;
+      }).then(function () {
+        var next = c.loadMore();
+        requests[ 2 ].respond(200, page([ 5, 6 ]), total);
+        return next;
+      }).then(function () {
+        assert(_.isEqual(ids(c), [ 3, 4, 5, 6 ]));
+        assert(_.isEqual(c.getChanges()[ "delete" ], []) && !c.hasChanges());
+      });
+    });
+
+    it('should start over when a fetch replaces the page', function () {
+      var c = new Feed();
+      c.setPageSize(2);
+      var total = { "X-Total-Count": "6" };
+
+      var p = c.loadMore();
+      requests[ 0 ].respond(200, page([ 1, 2 ]), total);
+      return p.then(function () {
+        var next = c.loadMore();
+        requests[ 1 ].respond(200, page([ 3, 4 ]), total);
+        return next;
+      }).then(function () {
+        var fetch = c.setPageNo(0).fetch();
+        requests[ 2 ].respond(200, page([ 1, 2 ]), total);
+        return fetch;
+      }).then(function () {
+        assert(_.isEqual(ids(c), [ 1, 2 ]));
+        assert(_.isEqual(c.getLoadedPages(), { first: 0, last: 0 }));
+      });
+    });
+  });
+});
+
+describe('transport', function () {
+  var originalTransport = Backbone.transport;
+
+  afterEach(function () {
+    Backbone.transport = originalTransport;
+  });
+
+  it('should serialize repeated query parameters', function () {
+    var query = Backbone.transports.serializeQuery({ start: 0, sort: [ "A|name", "D|age" ], q: "a b" });
+    assert(query === "start=0&sort=A%7Cname&sort=D%7Cage&q=a%20b");
+  });
+
+  it('should paginate the same way with the fetch transport', function () {
+    var calls = [];
+    Backbone.transport = Backbone.transports.createFetchTransport(function (url, init) {
+      calls.push({ url: url, init: init });
+      return Promise.resolve({
+        status: 200,
+        headers: {
+          get: function (name) {
+            return name === "X-Total-Count" ? "50" : null;
+          }
+        },
+        text: function () {
+          return Promise.resolve(JSON.stringify([ { id: 1 }, { id: 2 } ]));
+        }
+      });
+    });
+
+    var c = new (Backbone.Collection.extend({ url: "/users" }))();
+    c.setPageSize(2).setHeader("Authorization", "token").addSort("name").addSort("age", true);
+    return c.fetch().then(function () {
+      assert(calls[ 0 ].url === "/users?start=0&count=2&sort=D%7Cage&sort=A%7Cname");
+      assert(calls[ 0 ].init.method === "GET");
+      assert(calls[ 0 ].init.headers.Authorization === "token");
+      assert(c.isServerSide() && c.size() === 50 && c.getNumPages() === 25);
+    });
+  });
+
+  it('should use the fetch function of the environment at the time of the request', function () {
+    var originalFetch = global.fetch;
+    var send = Backbone.transports.createFetchTransport();
+    var urls = [];
+    global.fetch = function (url) {
+      urls.push(url);
+      return Promise.resolve({ status: 204, headers: { get: _.constant(null) }, text: _.constant(Promise.resolve("")) });
+    };
+    return send({ method: "GET", url: "/users", query: { q: "a" }, headers: {} }).then(function (response) {
+      global.fetch = originalFetch;
+      assert(response.status === 204 && _.isEqual(urls, [ "/users?q=a" ]));
+    }, function (error) {
+      global.fetch = originalFetch;
+      throw error;
+    });
+  });
+
+  it('should emulate HTTP methods and JSON bodies for older servers', function () {
+    var requests = [];
+    Backbone.transport = stubTransport(function (request) {
+      requests.push(request);
+      return status(200, { id: 1 })();
+    });
+    var m = new (Backbone.Model.extend({ urlRoot: "/users" }))({ id: 1, name: "a" });
+    return m.save(null, { emulateHTTP: true, emulateJSON: true }).then(function () {
+      var request = requests[ 0 ];
+      assert(request.method === "POST" && request.headers[ "X-HTTP-Method-Override" ] === "PUT");
+      assert(request.headers[ "Content-Type" ] === "application/x-www-form-urlencoded");
+      assert(request.body === Backbone.transports.serializeQuery({ model: '{"id":1,"name":"a"}', _method: "PUT" }));
+    });
+  });
+
+  it('should reject when parsing the response throws', function () {
+    Backbone.transport = stubTransport(status(200, { id: 1 }));
+    var m = new (Backbone.Model.extend({
+      urlRoot: "/users",
+      parse: function () {
+        throw new Error("Bad response");
+      }
+    }))({ id: 1 });
+    return m.fetch().then(function () {
+      assert(false, 'should not resolve');
+    }, function (error) {
+      assert(error.message === "Bad response" && m._activeFetch === null && !m.isFetching());
+    });
+  });
+});
+
+describe('pagination strategies', function () {
+  var p = Backbone.pagination;
+  var respond = function (c, body, headers) {
+    // the same as the success of a fetch
+    c.set(body, {
+      parse: true,
+      xhr: Backbone.transports.createResponse(200, function (name) {
+        return (headers || {})[ name ];
+      }, JSON.stringify(body))
+    });
+  };
+  var records = function (n) {
+    return _.map(_.range(n), function (i) {
+      return { id: i };
+    });
+  };
+
+  it('should default to offset pagination', function () {
+    var c = new Backbone.Collection();
+    c.setPageSize(10).setPageNo(2);
+    assert(_.isEqual(c.getPaginationParams(), { start: 20, count: 10 }));
   });
-});
\ No newline at end of file
+
+  it('should support page numbers and the Link header', function () {
+    var c = new (Backbone.Collection.extend({ pagination: p.linkHeader({ sizeParam: "per_page" }) }))();
+    c.setPageSize(2);
+    assert(_.isEqual(c.getPaginationParams(), { page: 1, per_page: 2 }));
+
+    respond(c, records(2), { Link: '</items?page=2>; rel="next", </items?page=5>; rel="last"' });
+    assert(c.isServerSide() && c.size() === 10);
+    assert(c.hasNextPage() && !c.hasPrevPage());
+  });
+
+  it('should support the Content-Range header', function () {
+    var c = new (Backbone.Collection.extend({ pagination: p.contentRange({ rangeHeader: true }) }))();
+    c.setPageSize(5);
+    assert(_.isEqual(c.getPagination().getHeaders(c), { Range: "items=0-4" }));
+    respond(c, records(5), { "Content-Range": "items 0-4/12" });
+    assert(c.size() === 12 && c.getNumPages() === 3 && c.hasNextPage());
+  });
+
+  it('should support envelopes', function () {
+    var c = new (Backbone.Collection.extend({ pagination: p.envelope({ params: p.pageNumber() }) }))();
+    c.setPageSize(2);
+    respond(c, { items: records(2), total: 3 });
+    assert(c.length === 2 && c.size() === 3);
+    assert(_.isEqual(c.getPaginationParams(), { page: 1, size: 2 }));
+  });
+
+  it('should navigate with cursors', function () {
+    var c = new (Backbone.Collection.extend({ pagination: p.cursor() }))();
+    c.setPageSize(2);
+    assert(_.isEqual(c.getPaginationParams(), { limit: 2 }));
+
+    respond(c, { items: records(2), next: "abc" });
+    assert(c.isServerSide() && c.hasNextPage() && !c.hasPrevPage());
+
+    c.nextPage();
+    assert(_.isEqual(c.getPaginationParams(), { cursor: "abc", limit: 2 }));
+    assert(c.hasPrevPage());
+  });
+
+  it('should read the records of cursor pages from a custom key or a bare array', function () {
+    var c = new (Backbone.Collection.extend({ pagination: p.cursor({ itemsKey: "rows" }) }))();
+    c.setPageSize(2);
+    respond(c, { rows: records(2), next: "abc" });
+    assert(c.length === 2 && c.hasNextPage());
+
+    var bare = new (Backbone.Collection.extend({ pagination: p.cursor({ itemsKey: "rows" }) }))();
+    respond(bare, records(3));
+    assert(bare.length === 3 && !bare.hasNextPage());
+  });
+});
+
+describe('client side pagination', function () {
+  var create = function () {
+    var c = new Backbone.Collection();
+    c.setPageSize(2, { silent: true });
+    c.set(_.map([ 5, 3, 1, 4, 2 ], function (n) {
+      return { id: n, n: n };
+    }));
+    return c;
+  };
+
+  it('should page the models in the order of the sorts', function () {
+    var c = create();
+    c.sorts = [ { attribute: "n", desc: false } ];
+    assert(_.isEqual(_.pluck(_.invoke(c.getPage(), "toJSON"), "n"), [ 1, 2 ]));
+    c.nextPage();
+    assert(_.isEqual(_.pluck(_.invoke(c.getPage(), "toJSON"), "n"), [ 3, 4 ]));
+    c.nextPage();
+    assert(_.isEqual(_.pluck(_.invoke(c.getPage(), "toJSON"), "n"), [ 5 ]));
+  });
+
+  it('should clamp the page number to the number of pages', function () {
+    var c = create();
+    c.setPageNo(10);
+    assert(c.getPageNo() === 2);
+    c.setPageSize(5);
+    assert(c.getPageNo() === 0);
+  });
+
+  it('should trigger page when the page or page size changes', function () {
+    var c = create();
+    var pages = [];
+    c.on("page", function (collection, pageNo) {
+      pages.push(pageNo);
+    });
+    c.setPageNo(1);
+    c.setPageNo(1);
+    c.setPageSize(3);
+    c.setPageNo(0, { silent: true });
+    assert(_.isEqual(pages, [ 1, 1 ]));
+  });
+});
+
+describe('filters', function () {
+  var people = function () {
+    return new Backbone.Collection([
+      { id: 1, name: "Sally", age: 31, born: "1985-03-01", address: { city: "Austin" }, tags: [ "admin" ] },
+      { id: 2, name: "Bob", age: 25, born: "1991-07-15", address: { city: "Boston" }, tags: [] },
+      { id: 3, name: "Sal", age: 40, born: "1976-11-30", address: { city: "Austin" }, tags: [ "admin", "dev" ] }
+    ]);
+  };
+  var ids = function (models) {
+    return _.pluck(models, "id");
+  };
+
+  it('should evaluate filters on nested paths on the client', function () {
+    var c = people();
+    assert(_.isEqual(ids(c.addFilter("address.city", "eq", "Austin").getFiltered()), [ 1, 3 ]));
+    assert(_.isEqual(ids(c.addFilter("age", "range", [ 30, null ]).getFiltered()), [ 1, 3 ]));
+    assert(_.isEqual(ids(c.addFilter("name", "contains", "sal").getFiltered()), [ 1, 3 ]));
+    assert(_.isEqual(ids(c.addFilter("born", "date-between", [ "1980-01-01", "1990-01-01" ]).getFiltered()), [ 1 ]));
+    c.resetFilters();
+    assert(_.isEqual(ids(c.addFilter("id", "in", [ "2", 3 ]).getFiltered()), [ 2, 3 ]));
+    assert(_.isEqual(ids(c.addFilter("tags", "contains", "dev").getFiltered()), [ 3 ]));
+    assert(_.isEqual(ids(c.removeFilter("tags").getFiltered()), [ 2, 3 ]));
+  });
+
+  it('should page the filtered models', function () {
+    var c = people();
+    c.setPageSize(1);
+    c.addFilter("address.city", "eq", "Austin");
+    assert(c.getNumPages() === 2);
+    c.setPageNo(5);
+    assert(c.getPageNo() === 1 && _.isEqual(ids(c.getPage()), [ 3 ]));
+  });
+
+  it('should serialize filters into query parameters', function () {
+    var c = new Backbone.Collection();
+    assert(_.isEqual(c.getFilterParams(), {}));
+    c.addFilter("address.city", "in", [ "Austin", "Boston" ]).addFilter("age", "range", { min: 18 })
+      .addFilter("born", "date-between", [ "1980-01-01", null ]);
+    assert(_.isEqual(c.getFilterParams(), {
+      filter: [ "address.city|in|Austin,Boston", "age|range|18,", "born|date-between|1980-01-01T00:00:00.000Z," ]
+    }));
+  });
+
+  it('should trigger filter and go back to the first page', function () {
+    var c = people();
+    c.setPageSize(1).setPageNo(2);
+    var triggered = 0;
+    c.on("filter", function (collection, applied) {
+      triggered++;
+      assert(collection === c && applied === c.filters);
+    });
+    c.addFilter("age", "range", [ 20, 50 ]);
+    c.removeFilter("name");
+    c.resetFilters({ silent: true });
+    assert(triggered === 1 && c.getPageNo() === 0);
+    assert.throws(function () {
+      c.addFilter("age", "between", [ 1, 2 ]);
+    });
+  });
+});
+
+describe('sorts', function () {
+  var people = function () {
+    return new Backbone.Collection([
+      { id: 1, name: "émile", rank: "gold" },
+      { id: 2, name: "Zoe", rank: "bronze" },
+      { id: 3, name: "adam", rank: "silver" }
+    ]);
+  };
+
+  it('should not share the sorts between instances', function () {
+    var a = new Backbone.Collection(), b = new Backbone.Collection();
+    a.sorts.push({ attribute: "name", desc: false });
+    assert(b.sorts.length === 0 && Backbone.Collection.prototype.sorts.length === 0);
+  });
+
+  it('should replace sorts on the same attribute and keep at most maxSorts', function () {
+    var c = people();
+    c.addSort("a").addSort("b").addSort("a", true).addSort("c").addSort("d");
+    assert(_.isEqual(c.sorts, [
+      { attribute: "d", desc: false }, { attribute: "c", desc: false }, { attribute: "a", desc: true }
+    ]));
+    c.removeSort("c");
+    assert(_.isEqual(_.pluck(c.sorts, "attribute"), [ "d", "a" ]));
+  });
+
+  it('should toggle from ascending to descending to not sorted and trigger sort', function () {
+    var c = people();
+    var states = [];
+    c.on("sort", function (collection, options) {
+      states.push(_.map(options.sorts, function (oneSort) {
+        return (oneSort.desc ? "D" : "A") + oneSort.attribute;
+      }).join());
+    });
+    c.toggleSort("name");
+    assert(_.isEqual(c.pluck("id"), [ 3, 1, 2 ]), 'strings are compared by locale ignoring case');
+    c.toggleSort("name");
+    assert(_.isEqual(c.pluck("id"), [ 2, 1, 3 ]));
+    c.toggleSort("name");
+    assert(c.getSort("name") === undefined);
+    assert(_.isEqual(states, [ "Aname", "Dname", "" ]));
+  });
+
+  it('should use the custom comparator of an attribute', function () {
+    var order = [ "bronze", "silver", "gold" ];
+    var c = people();
+    c.sortComparators = {
+      rank: function (a, b) {
+        return _.indexOf(order, a) - _.indexOf(order, b);
+      }
+    };
+    c.addSort("rank");
+    assert(_.isEqual(c.pluck("id"), [ 2, 3, 1 ]));
+  });
+});
+
+describe('Collection#save()', function () {
+  var originalTransport = Backbone.transport;
+  var requests;
+  var Users = Backbone.Collection.extend({ url: "/users" });
+
+  beforeEach(function () {
+    requests = [];
+    Backbone.transport = stubTransport(function (request) {
+      var code = request.method === "PUT" && JSON.parse(request.body).name === "fail" ? 500 : 200;
+      var body = request.method === "POST" ? _.extend({ id: 100 + requests.length }, JSON.parse(request.body)) :
+        (request.method === "PATCH" ? {
+          create: [ { id: 10, name: "New" } ],
+          failures: [ { operation: "delete", index: 0, error: "in use" } ]
+        } : (request.url === "/users" ? JSON.parse(request.body) : {}));
+      requests.push(request);
+      return { status: code, body: body };
+    });
+  });
+
+  afterEach(function () {
+    Backbone.transport = originalTransport;
+  });
+
+  var loaded = function () {
+    var c = new Users();
+    c.set([ { id: 1, name: "Sally" }, { id: 2, name: "Bob" }, { id: 3, name: "Sal" } ], {
+      xhr: Backbone.transports.createResponse(200)
+    });
+    return c;
+  };
+
+  it('should track the models that are created, updated and deleted', function () {
+    var c = loaded();
+    assert(!c.hasChanges());
+    c.get(1).set("name", "Sally Jones");
+    c.remove(c.get(2));
+    c.add({ name: "New" });
+    var changes = c.getChanges();
+    assert(_.isEqual(_.pluck(changes.create, "id"), [ undefined ]));
+    assert(_.isEqual(_.pluck(changes.update, "id"), [ 1 ]));
+    assert(_.isEqual(_.pluck(changes[ "delete" ], "id"), [ 2 ]));
+  });
+
+  it('should send the changes in a single PATCH and report the failures', function () {
+    var c = loaded();
+    c.get(1).set("name", "Sally Jones");
+    c.remove(c.get(2));
+    var created = c.add({ name: "New" });
+
+    return c.save({ strategy: "bulk" }).then(function () {
+      assert(false, 'should not resolve');
+    }, function (error) {
+      assert(requests.length === 1 && requests[ 0 ].method === "PATCH" && requests[ 0 ].url === "/users");
+      assert(_.isEqual(JSON.parse(requests[ 0 ].body), {
+        create: [ { name: "New" } ], update: [ { id: 1, name: "Sally Jones" } ], "delete": [ 2 ]
+      }));
+      assert(error instanceof Backbone.SyncError && error.failures.length === 1);
+      assert(error.failures[ 0 ].model.id === 2 && error.failures[ 0 ].error === "in use");
+      assert(created.id === 10);
+      var changes = c.getChanges();
+      assert(changes.create.length === 0 && changes.update.length === 0 && changes[ "delete" ].length === 1);
+    });
+  });
+
+  it('should send a request per model with a concurrency limit', function () {
+    var c = loaded();
+    c.get(1).set("name", "fail");
+    c.get(3).set("name", "Sally");
+    c.remove(c.get(2));
+    c.add({ name: "New" });
+
+    var callbacks = 0;
+    return c.save({
+      strategy: "each", concurrency: 2, error: function () {
+        callbacks++;
+      }
+    }).then(function () {
+      assert(false, 'should not resolve');
+    }, function (error) {
+      // the callbacks are for the collection, not each model
+      assert(callbacks === 0);
+      assert(_.isEqual(_.pluck(requests, "method").sort(), [ "DELETE", "POST", "PUT", "PUT" ]));
+      assert(_.findWhere(requests, { method: "DELETE" }).url === "/users/2");
+      assert(error.failures.length === 1 && error.failures[ 0 ].model.id === 1);
+      assert(error.failures[ 0 ].error.status === 500);
+      assert(_.isEqual(_.pluck(c.getChanges().update, "id"), [ 1 ]) && !c.getChanges().create.length);
+    });
+  });
+
+  it('should PUT the whole collection by default', function () {
+    var c = loaded();
+    c.cache = new Backbone.QueryCache();
+    c.cache.set({ method: "GET", url: "/users", query: {}, headers: {} }, Backbone.transports.createResponse(200));
+    c.get(1).set("name", "Sally Jones");
+    return c.save().then(function () {
+      assert(requests.length === 1 && requests[ 0 ].method === "PUT" && JSON.parse(requests[ 0 ].body).length === 3);
+      assert(!c.hasChanges() && c.cache.size() === 0);
+    });
+  });
+
+  it('should forget the changes of a model that was saved on its own', function () {
+    var c = loaded();
+    c.get(1).set("name", "Sally Jones");
+    assert(c.getChanges().update.length === 1);
+    return c.get(1).save().then(function () {
+      assert(c.getChanges().update.length === 0);
+      return c.save({ strategy: "bulk" });
+    }).then(null, function () {
+      assert(_.isEqual(JSON.parse(requests[ 1 ].body).update, []));
+    });
+  });
+});
+
+describe('dirty tracking and history', function () {
+  var created = function () {
+    return new Backbone.Model({ id: 1, name: "Sally", address: { city: "Austin", zip: "78701" }, tags: [ "a" ] });
+  };
+
+  it('should compare nested paths with the last server state', function () {
+    var m = created();
+    assert(!m.isDirty());
+    m.set("address.city", "Boston");
+    m.set("nickname", "Sal");
+    assert(m.isDirty() && m.isDirty("address") && m.isDirty("address.city") && !m.isDirty("address.zip"));
+    assert(_.isEqual(m.dirtyPaths().sort(), [ "address.city", "nickname" ]));
+    m.set("address.city", "Austin");
+    assert(_.isEqual(m.dirtyPaths(), [ "nickname" ]));
+  });
+
+  it('should revert a path or every attribute', function () {
+    var m = created();
+    m.set({ "address.city": "Boston", "name": "Bob", "nickname": "B" });
+    m.revert("address.city");
+    assert(m.get("address.city") === "Austin" && m.isDirty("name"));
+    m.revert();
+    assert(!m.isDirty() && !m.has("nickname") && m.get("name") === "Sally");
+  });
+
+  it('should undo and redo changes up to maxHistory', function () {
+    var m = created();
+    m.maxHistory = 2;
+    m.set("name", "Bob");
+    m.set("address.city", "Boston");
+    m.set({ name: "Al", nickname: "A" });
+    m.undo();
+    assert(m.get("name") === "Bob" && !m.has("nickname"));
+    m.undo();
+    assert(m.get("address.city") === "Austin" && m.get("name") === "Bob");
+    assert(!m.canUndo() && m.canRedo());
+    m.undo().redo().redo();
+    assert(m.get("name") === "Al" && m.get("nickname") === "A" && m.get("address.city") === "Boston");
+    m.set("name", "Zed");
+    assert(!m.canRedo());
+  });
+
+  it('should reset on a successful sync and on changes from the server', function () {
+    var originalTransport = Backbone.transport;
+    Backbone.transport = stubTransport(status(200, { id: 1 }));
+
+    var m = created();
+    m.urlRoot = "/people";
+    m.set("name", "Bob");
+    m.set({ tags: [ "b" ] }, { xhr: Backbone.transports.createResponse(200) });
+    assert(_.isEqual(m.dirtyPaths(), [ "name" ]) && m.canUndo());
+    return m.save().then(function () {
+      Backbone.transport = originalTransport;
+      assert(!m.isDirty() && !m.canUndo());
+    }, function (error) {
+      Backbone.transport = originalTransport;
+      throw error;
+    });
+  });
+});
+
+describe('optimistic changes', function () {
+  var originalTransport = Backbone.transport;
+  var Users = Backbone.Collection.extend({ url: "/users" });
+
+  beforeEach(function () {
+    // every request fails
+    Backbone.transport = stubTransport(status(500));
+  });
+
+  afterEach(function () {
+    Backbone.transport = originalTransport;
+  });
+
+  var failed = function (promise) {
+    return promise.then(function () {
+      assert(false, 'should not resolve');
+    }, function (error) {
+      return error;
+    });
+  };
+
+  it('should set the attributes immediately and roll them back when the save fails', function () {
+    var m = new (Backbone.Model.extend({ urlRoot: "/users" }))({ id: 1, address: { city: "Austin" }, name: "Sally" });
+    var rollbacks = [];
+    m.on("rollback", function (model, error, options) {
+      rollbacks.push(options.operation + ":" + error.status);
+    });
+
+    var promise = m.save({ "address.city": "Boston", name: "Bob" }, { optimistic: true });
+    assert(m.get("address.city") === "Boston");
+    // changed again before the save failed, so it is not rolled back
+    m.set("name", "Al");
+    return failed(promise).then(function () {
+      assert(m.get("address.city") === "Austin" && m.get("name") === "Al");
+      assert(_.isEqual(rollbacks, [ "save:500" ]));
+    });
+  });
+
+  it('should forget the change of a save that is rolled back', function () {
+    var m = new (Backbone.Model.extend({ urlRoot: "/users" }))({ id: 1, name: "Sally" });
+    m.set("nickname", "S");
+
+    return failed(m.save({ name: "Bob" }, { optimistic: true })).then(function () {
+      assert(m.get("name") === "Sally");
+      m.undo();
+      assert(!m.has("nickname") && !m.canUndo() && m.get("name") === "Sally");
+    });
+  });
+
+  it('should add a destroyed model back at its index when the destroy fails', function () {
+    var c = new Users([ { id: 1 }, { id: 2 }, { id: 3 } ]);
+    var rollbacks = 0;
+    c.on("rollback", function () {
+      rollbacks++;
+    });
+    var promise = c.get(2).destroy({ optimistic: true, wait: true });
+    assert(_.isEqual(c.pluck("id"), [ 1, 3 ]));
+    return failed(promise).then(function () {
+      assert(_.isEqual(c.pluck("id"), [ 1, 2, 3 ]) && rollbacks === 1);
+    });
+  });
+
+  it('should remove a created model when the create fails', function () {
+    var c = new Users([ { id: 1 } ]);
+    var rollbacks = [];
+    c.on("rollback", function (model, error, options) {
+      rollbacks.push(options.operation);
+    });
+    var model = c.create({ name: "New" }, { optimistic: true });
+    assert(c.length === 2 && c.last() === model);
+    return new Promise(function (resolve) {
+      model.on("rollback", resolve);
+    }).then(function () {
+      assert(c.length === 1 && _.isEqual(rollbacks, [ "create" ]));
+    });
+  });
+});
+
+describe('query state', function () {
+  var Table = Backbone.Collection.extend({ url: "/users" });
+
+  it('should encode and restore the page, sorts and params', function () {
+    var c = new Table();
+    c.setPageSize(10).setPageNo(3).addSort("name").addSort("age", true).setParam("q", "sal");
+    var state = c.toQueryState();
+    assert(_.isEqual(state, { q: "sal", start: 30, count: 10, sort: [ "D|age", "A|name" ] }));
+
+    var restored = new Table();
+    restored.fromQueryState(Backbone.parseQuery("?" + Backbone.transports.serializeQuery(state)));
+    assert(restored.getPageNo() === 3 && restored.getPageSize() === 10);
+    assert(_.isEqual(restored.sorts, c.sorts) && _.isEqual(restored.params, { q: "sal" }));
+  });
+
+  it('should encode and restore the filters and the page of the pagination strategy', function () {
+    var Pages = Table.extend({ pagination: Backbone.pagination.pageNumber() });
+    var c = new Pages();
+    c.addFilter("age", "range", [ 18, null ]).addFilter("city", "in", [ "Austin", "Boston" ]);
+    c.setPageSize(10).setPageNo(2);
+    var state = c.toQueryState();
+    assert(_.isEqual(state, { page: 3, size: 10, sort: [], filter: [ "age|range|18,", "city|in|Austin,Boston" ] }));
+
+    var restored = new Pages();
+    restored.fromQueryState(Backbone.parseQuery("?" + Backbone.transports.serializeQuery(state)));
+    assert(restored.getPageNo() === 2 && restored.getPageSize() === 10 && _.isEmpty(restored.params));
+    assert(_.isEqual(restored.filters, [
+      { path: "age", operator: "range", value: [ "18", null ] },
+      { path: "city", operator: "in", value: [ "Austin", "Boston" ] }
+    ]));
+    assert(_.isEqual(restored.toQueryState(), state));
+  });
+
+  it('should keep the url in sync with the collection', function () {
+    var listeners = [];
+    var location = { pathname: "/people", search: "?start=20&count=20&sort=A%7Cname" };
+    var pushed = [];
+    var history = {
+      pushState: function (state, title, url) {
+        pushed.push(url);
+        location.search = url.substring(url.indexOf("?"));
+      }
+    };
+    var events = {
+      addEventListener: function (name, listener) {
+        listeners.push(listener);
+      },
+      removeEventListener: function (name, listener) {
+        listeners = _.without(listeners, listener);
+      }
+    };
+
+    var c = new Table();
+    var unbind = c.bindQueryState({ location: location, history: history, events: events });
+    assert(c.getPageNo() === 1 && c.getSort("name") && pushed.length === 0);
+
+    c.nextPage();
+    assert(_.isEqual(pushed, [ "/people?start=40&count=20&sort=A%7Cname" ]));
+    c.toggleSort("name");
+    assert(pushed[ 1 ] === "/people?start=40&count=20&sort=D%7Cname");
+
+    // back navigation
+    location.search = "?start=0&count=20";
+    _.each(listeners, function (listener) {
+      listener();
+    });
+    assert(c.getPageNo() === 0 && c.sorts.length === 0 && pushed.length === 2);
+
+    unbind();
+    c.nextPage();
+    assert(listeners.length === 0 && pushed.length === 2);
+  });
+});
+
+describe('autoFetch', function () {
+  var originalTransport = Backbone.transport;
+  var requests;
+
+  beforeEach(function () {
+    requests = [];
+    Backbone.transport = stubTransport(function (request) {
+      requests.push(request);
+      return { status: 200, body: [], headers: { "X-Total-Count": "100" } };
+    });
+  });
+
+  afterEach(function () {
+    Backbone.transport = originalTransport;
+  });
+
+  var wait = function (ms) {
+    return new Promise(function (resolve) {
+      setTimeout(resolve, ms);
+    });
+  };
+
+  it('should trigger params, sorts and page when they change', function () {
+    var c = new Backbone.Collection();
+    var events = [];
+    c.on("params sorts page", function (collection, value) {
+      events.push(value);
+    });
+    c.setParam("q", "a").setParam("q", "a").addSort("name").setPageNo(2).unsetParam("q", { silent: true });
+    assert(_.isEqual(events, [ { q: "a" }, [ { attribute: "name", desc: false } ], 2 ]));
+  });
+
+  it('should coalesce changes within the debounce window into one fetch', function () {
+    var c = new (Backbone.Collection.extend({ url: "/users", autoFetch: true, autoFetchDelay: 10 }))();
+    c.setParam("q", "s");
+    c.setParam("q", "sa");
+    c.setParam("q", "sal").addSort("name");
+    assert(requests.length === 0);
+    return wait(30).then(function () {
+      assert(requests.length === 1);
+      assert(_.isEqual(requests[ 0 ].query, { start: 0, count: 20, sort: [ "A|name" ], q: "sal" }));
+
+      c.setPageSize(10);
+      assert(c.flushAutoFetch() !== null && requests.length === 2 && c.flushAutoFetch() === null);
+      return wait(30);
+    }).then(function () {
+      assert(requests.length === 2);
+    });
+  });
+
+  it('should not fetch for silent changes, responses or client side state', function () {
+    var c = new (Backbone.Collection.extend({ url: "/users", autoFetch: true, autoFetchDelay: 10 }))();
+    c.setParam("q", "s", { silent: true });
+    c.addSort("name");
+    c.set([ { id: 1 } ], { xhr: Backbone.transports.createResponse(200) });
+    assert(c.flushAutoFetch() === null);
+
+    // going back to the first page when a fetch resets the collection does not fetch again
+    var pages = [];
+    var server = new (Backbone.Collection.extend({ url: "/users", autoFetch: true, autoFetchDelay: 10 }))();
+    server.on("page", function (collection, pageNo) {
+      pages.push(pageNo);
+    });
+    server.setPageNo(3);
+    assert(server.flushAutoFetch() === null);
+    return server.fetch({ reset: true }).then(function () {
+      assert(_.isEqual(pages, [ 3, 0 ]) && server.isServerSide());
+      assert(server.flushAutoFetch() === null && requests.length === 1);
+    });
+  });
+});
+
+describe('retry and offline queue', function () {
+  var originalTransport = Backbone.transport;
+  var requests;
+  var respond;
+
+  // a clock whose timers run only when advanced
+  var fakeClock = function () {
+    var timers = [];
+    return {
+      setTimeout: function (fn, ms) {
+        timers.push({ fn: fn, ms: ms });
+        return timers.length - 1;
+      },
+      clearTimeout: function (id) {
+        timers[ id ] = null;
+      },
+      delays: function () {
+        return _.pluck(_.compact(timers), "ms");
+      },
+      runAll: function () {
+        var pending = _.compact(timers);
+        timers = [];
+        _.each(pending, function (timer) {
+          timer.fn();
+        });
+      }
+    };
+  };
+
+  var tick = function () {
+    return new Promise(function (resolve) {
+      setTimeout(resolve, 0);
+    });
+  };
+
+  beforeEach(function () {
+    requests = [];
+    // each request is answered by the next function in 'respond', which returns a status or throws for no response
+    respond = [];
+    Backbone.transport = stubTransport(function (request) {
+      requests.push(request);
+      return respond.shift()(request);
+    });
+  });
+
+  afterEach(function () {
+    Backbone.transport = originalTransport;
+  });
+
+  var offline = function () {
+    throw new Error("Network error");
+  };
+
+  it('should compute exponential delays with jitter', function () {
+    var policy = Backbone.retryPolicy({ baseDelay: 100, maxDelay: 500, jitter: false });
+    assert(_.isEqual(_.map([ 0, 1, 2, 3 ], policy.delay), [ 100, 200, 400, 500 ]));
+    var jittered = Backbone.retryPolicy({ baseDelay: 100, random: _.constant(0.5) });
+    assert(jittered.delay(1) === 100);
+
+    assert(policy.shouldRetry({ method: "GET" }, null, 0));
+    assert(policy.shouldRetry({ method: "PUT" }, { status: 503 }, 2));
+    assert(!policy.shouldRetry({ method: "PUT" }, { status: 503 }, 3));
+    assert(!policy.shouldRetry({ method: "POST" }, { status: 503 }, 0));
+    assert(!policy.shouldRetry({ method: "GET" }, { status: 404 }, 0));
+  });
+
+  it('should retry failed requests after the policy delays', function () {
+    var clock = fakeClock();
+    var M = Backbone.Model.extend({
+      urlRoot: "/users",
+      retry: Backbone.retryPolicy({ baseDelay: 100, jitter: false, clock: clock })
+    });
+    var m = new M({ id: 1 });
+    respond = [ status(503), offline, status(200, { id: 1, name: "a" }) ];
+    var fetched = m.fetch();
+    return tick().then(function () {
+      assert(requests.length === 1 && _.isEqual(clock.delays(), [ 100 ]));
+      clock.runAll();
+      return tick();
+    }).then(function () {
+      assert(requests.length === 2 && _.isEqual(clock.delays(), [ 200 ]));
+      clock.runAll();
+      return fetched;
+    }).then(function () {
+      assert(requests.length === 3 && m.get("name") === "a");
+    });
+  });
+
+  it('should not retry methods that are not in the policy', function () {
+    var clock = fakeClock();
+    var M = Backbone.Model.extend({ urlRoot: "/users", retry: Backbone.retryPolicy({ clock: clock }) });
+    respond = [ status(503) ];
+    return new M({ name: "a" }).save().then(function () {
+      assert(false);
+    }, function (error) {
+      assert(error.status === 503 && requests.length === 1 && clock.delays().length === 0);
+    });
+  });
+
+  it('should stop retrying when aborted', function () {
+    var clock = fakeClock();
+    var M = Backbone.Model.extend({ urlRoot: "/users", retry: Backbone.retryPolicy({ clock: clock }) });
+    respond = [ status(503) ];
+    var fetched = new M({ id: 1 }).fetch();
+    return tick().then(function () {
+      assert(clock.delays().length === 1);
+      fetched.cancel();
+      return fetched;
+    }).then(function () {
+      assert(false);
+    }, function (error) {
+      assert(error.aborted && clock.delays().length === 0 && requests.length === 1);
+    });
+  });
+
+  var memoryStorage = function () {
+    var items = {};
+    return {
+      getItem: function (key) {
+        return _.has(items, key) ? items[ key ] : null;
+      },
+      setItem: function (key, value) {
+        items[ key ] = String(value);
+      }
+    };
+  };
+
+  it('should queue writes made while offline and keep optimistic changes', function () {
+    var storage = memoryStorage();
+    var queue = new Backbone.OfflineQueue({ storage: storage });
+    var C = Backbone.Collection.extend({ url: "/users", offlineQueue: queue });
+    var c = new C([ { id: 1, name: "a" } ]);
+    respond = [ offline ];
+    var headers = { authorization: "Bearer a", "X-Client": "a" };
+    return c.get(1).save({ name: "b" }, { optimistic: true, headers: headers }).then(function () {
+      assert(false);
+    }, function (error) {
+      assert(error.queued && error.status === null);
+      assert(c.get(1).get("name") === "b" && queue.size() === 1);
+      var stored = JSON.parse(storage.getItem(queue.storageKey));
+      assert(stored.length === 1 && stored[ 0 ].request.method === "PUT" && stored[ 0 ].request.url === "/users/1");
+      // credentials are not persisted
+      assert(!_.has(stored[ 0 ].request.headers, "authorization") && stored[ 0 ].request.headers[ "X-Client" ] === "a");
+      assert(queue.entries()[ 0 ].request.headers.authorization === "Bearer a");
+      assert(new Backbone.OfflineQueue({ storage: storage }).size() === 1);
+    });
+  });
+
+  it('should coalesce the pending writes of a model', function () {
+    var queue = new Backbone.OfflineQueue({ storage: memoryStorage() });
+    var C = Backbone.Collection.extend({ url: "/users", offlineQueue: queue });
+    var c = new C();
+    var created = c.create({ name: "a" }, { optimistic: true });
+    var other = c.create({ name: "x" }, { optimistic: true });
+    respond = [ offline, offline, offline, offline ];
+    return tick().then(function () {
+      assert(queue.size() === 2 && c.length === 2);
+      return created.save({ name: "b" }).then(null, _.noop);
+    }).then(function () {
+      var entries = queue.entries();
+      assert(entries.length === 2 && entries[ 0 ].request.method === "POST");
+      assert(JSON.parse(entries[ 0 ].request.body).name === "b");
+      return other.destroy().then(null, _.noop);
+    }).then(function () {
+      // deleting a model that was never created removes its create
+      assert(queue.size() === 1);
+    });
+  });
+
+  it('should replay the queue in order, apply responses and surface conflicts', function () {
+    var queue = new Backbone.OfflineQueue({ storage: memoryStorage() });
+    var C = Backbone.Collection.extend({ url: "/users", offlineQueue: queue });
+    var c = new C([ { id: 1, name: "a" }, { id: 2, name: "b" } ]);
+    var created = c.create({ name: "c" }, { optimistic: true });
+    respond = [ offline, offline, offline ];
+    var conflicts = [];
+    queue.on("conflict", function (entry, response, target) {
+      conflicts.push(target);
+    });
+
+    return tick().then(function () {
+      return Promise.all([
+        c.get(1).save({ name: "a2" }).then(null, _.noop),
+        c.get(2).save({ name: "b2" }).then(null, _.noop)
+      ]);
+    }).then(function () {
+      assert(queue.size() === 3);
+      requests = [];
+      c.cache = new Backbone.QueryCache();
+      c.cache.set({ method: "GET", url: "/users", query: {}, headers: {} }, Backbone.transports.createResponse(200));
+      respond = [ status(201, { id: 3, name: "c" }), status(200, { id: 1, name: "a3" }), offline ];
+      return queue.replay(Backbone.transport);
+    }).then(function (remaining) {
+      // the replayed writes invalidate the cached responses
+      assert(remaining === 1 && queue.size() === 1 && c.cache.size() === 0);
+      assert(_.isEqual(_.pluck(requests, "method"), [ "POST", "PUT", "PUT" ]));
+      assert(created.id === 3 && c.get(1).get("name") === "a3" && !c.get(1).isDirty());
+
+      respond = [ status(409, { message: "changed" }) ];
+      var listeners = [];
+      var stop = queue.listen(Backbone.transport, {
+        addEventListener: function (name, fn) {
+          listeners.push(fn);
+        },
+        removeEventListener: function (name, fn) {
+          listeners = _.without(listeners, fn);
+        }
+      });
+      listeners[ 0 ]();
+      stop();
+      assert(listeners.length === 0);
+      return queue.replay(Backbone.transport);
+    }).then(function (remaining) {
+      assert(remaining === 0 && conflicts.length === 1 && conflicts[ 0 ] === c.get(2));
+    });
+  });
+});
+
+describe('interceptors', function () {
+  var originalTransport = Backbone.transport;
+  var requests;
+  var respond;
+
+  beforeEach(function () {
+    requests = [];
+    respond = [];
+    // each request is answered by the next function in 'respond'
+    Backbone.transport = stubTransport(function (request) {
+      requests.push(request);
+      return respond.shift()(request);
+    });
+  });
+
+  afterEach(function () {
+    Backbone.transport = originalTransport;
+    Backbone.interceptors.clear();
+  });
+
+  it('should send the params and headers of models and their collections', function () {
+    var c = new (Backbone.Collection.extend({ url: "/users" }))([ { id: 1 } ]);
+    c.setHeader("Authorization", "Bearer a");
+    var m = c.get(1);
+    var events = [];
+    m.on("params", function (model, params) {
+      events.push(params);
+    });
+    m.setHeader("X-Client", "test").setParam("expand", "owner").setParam("expand", "owner");
+    assert(_.isEqual(events, [ { expand: "owner" } ]));
+    respond = [ status(200, { id: 1, name: "a" }) ];
+    return m.save({ name: "a" }).then(function () {
+      assert(_.isEqual(requests[ 0 ].query, { expand: "owner" }));
+      assert(requests[ 0 ].headers.Authorization === "Bearer a" && requests[ 0 ].headers[ "X-Client" ] === "test");
+      m.resetParams().unsetHeader("X-Client");
+      assert(_.isEqual(m.params, {}) && _.isEqual(m.headers, {}));
+    });
+  });
+
+  it('should run global then class request interceptors and response interceptors in reverse', function () {
+    var order = [];
+    Backbone.interceptors.use({
+      request: function (request) {
+        order.push("global request");
+        request.headers.Authorization = "Bearer b";
+        return request;
+      },
+      response: function (response) {
+        order.push("global response");
+        return response;
+      }
+    });
+    var M = Backbone.Model.extend({
+      urlRoot: "/users",
+      interceptors: [ {
+        request: function (request, context) {
+          order.push("model request");
+          assert(context.method === "update" && context.attempt === 0);
+          return Promise.resolve(_.extend(request, { url: "/v2" + request.url }));
+        },
+        response: function (response) {
+          order.push("model response");
+          response.body.name = response.body.name.toUpperCase();
+          return response;
+        }
+      } ]
+    });
+    var m = new M({ id: 1 });
+    respond = [ status(200, { id: 1, name: "a" }) ];
+    return m.save().then(function () {
+      assert(requests[ 0 ].url === "/v2/users/1" && requests[ 0 ].headers.Authorization === "Bearer b");
+      assert(_.isEqual(order, [ "global request", "model request", "model response", "global response" ]));
+      assert(m.get("name") === "A");
+    });
+  });
+
+  it('should reject requests and responses that interceptors reject', function () {
+    var queue = new Backbone.OfflineQueue({ storage: null });
+    var M = Backbone.Model.extend({ urlRoot: "/users", offlineQueue: queue });
+    var eject = Backbone.interceptors.use({
+      response: function (response) {
+        if (response.body.locked) {
+          throw new Error("Locked");
+        }
+        return response;
+      }
+    });
+    respond = [ status(200, { id: 1, locked: true }) ];
+    return new M({ id: 1 }).save().then(function () {
+      assert(false);
+    }, function (error) {
+      assert(error.status === 200 && error.body.locked && !error.queued && queue.size() === 0);
+      eject();
+      assert(Backbone.interceptors.list().length === 0);
+    });
+  });
+
+  it('should refresh the token once on 401 and replay the requests', function () {
+    var token = "old";
+    var refreshes = 0;
+    var revoked = false;
+    Backbone.interceptors.use({
+      request: function (request) {
+        request.headers.Authorization = "Bearer " + token;
+        return request;
+      }
+    });
+    Backbone.interceptors.use(Backbone.refreshToken({
+      refresh: function () {
+        refreshes++;
+        if (revoked) {
+          return Promise.reject(new Error("Revoked"));
+        }
+        token = "new";
+        return Promise.resolve();
+      }
+    }));
+    var authorized = function (request) {
+      return request.headers.Authorization === "Bearer new" ? { status: 200, body: { id: 1 } } : { status: 401 };
+    };
+    respond = [ authorized, authorized, authorized, authorized ];
+    var M = Backbone.Model.extend({ urlRoot: "/users" });
+    return Promise.all([ new M({ id: 1 }).fetch(), new M({ id: 2 }).fetch() ]).then(function () {
+      assert(refreshes === 1 && requests.length === 4);
+      assert(_.isEqual(_.map(requests, function (request) {
+        return request.headers.Authorization;
+      }), [ "Bearer old", "Bearer old", "Bearer new", "Bearer new" ]));
+
+      respond = [ status(401) ];
+      token = "old";
+      revoked = true;
+      return new M({ id: 1 }).fetch();
+    }).then(function () {
+      assert(false);
+    }, function (error) {
+      // the unauthorized response is used when the refresh fails
+      assert(error.status === 401 && refreshes === 2 && requests.length === 5);
+    });
+  });
+
+  it('should pass a replayed response once through the interceptors before the one that replayed it', function () {
+    var unwraps = 0;
+    Backbone.interceptors.use({
+      response: function (response) {
+        unwraps++;
+        return _.extend({}, response, { body: response.body && response.body.data });
+      }
+    });
+    Backbone.interceptors.use(Backbone.refreshToken({
+      refresh: function () {
+        return Promise.resolve();
+      }
+    }));
+    respond = [ status(401), status(200, { data: { id: 1, name: "a" } }) ];
+    var m = new (Backbone.Model.extend({ urlRoot: "/users" }))({ id: 1 });
+    return m.fetch().then(function () {
+      assert(requests.length === 2 && unwraps === 1 && m.get("name") === "a");
+    });
+  });
+
+  it('should replay queued requests through the interceptors', function () {
+    var token = "old";
+    Backbone.interceptors.use({
+      request: function (request) {
+        request.headers.Authorization = "Bearer " + token;
+        return request;
+      }
+    });
+    Backbone.interceptors.use(Backbone.refreshToken({
+      refresh: function () {
+        token = "new";
+        return Promise.resolve();
+      }
+    }));
+    var queue = new Backbone.OfflineQueue({ storage: null });
+    var M = Backbone.Model.extend({
+      urlRoot: "/users",
+      offlineQueue: queue,
+      interceptors: [ {
+        request: function (request) {
+          return _.extend(request, { url: "/v2" + request.url });
+        }
+      } ]
+    });
+    var m = new M({ id: 1, name: "a" });
+    respond = [ function () {
+      throw new Error("Network error");
+    } ];
+    return m.save().then(null, function (error) {
+      assert(error.queued && queue.size() === 1);
+      requests = [];
+      var authorized = function (request) {
+        return request.headers.Authorization === "Bearer new" ? { status: 200, body: { id: 1, name: "b" } } :
+          { status: 401 };
+      };
+      respond = [ authorized, authorized ];
+      return queue.replay(Backbone.transport);
+    }).then(function (remaining) {
+      assert(remaining === 0 && requests.length === 2 && m.get("name") === "b");
+      assert(_.every(requests, function (request) {
+        return request.url === "/v2/users/1";
+      }));
+    });
+  });
+});
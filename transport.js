@@ -0,0 +1,187 @@
+'use strict';
+
+var OriginalBackbone = require('backbone');
+var _ = require('underscore');
+var Promise = require('./promise');
+
+/**
+ * Serialize query parameters, repeating the name of array parameters for each value, e.g. sort=A|name&sort=D|age
+ * @param params object of parameter name to value or array of values
+ * @returns {string} the query string without the leading '?'
+ */
+var serializeQuery = function (params) {
+  var pairs = [];
+  _.each(params, function (value, name) {
+    _.each(_.isArray(value) ? value : [ value ], function (oneValue) {
+      if (typeof oneValue === "undefined") {
+        return;
+      }
+      pairs.push(encodeURIComponent(name) + "=" + encodeURIComponent(oneValue === null ? "" : oneValue));
+    });
+  });
+  return pairs.join("&");
+};
+
+/**
+ * Append query parameters to a url
+ * @param url the url, which may already have a query string
+ * @param params the query parameters
+ * @returns {string}
+ */
+var buildUrl = function (url, params) {
+  var query = serializeQuery(params);
+  if (query.length === 0) {
+    return url;
+  }
+  return url + (url.indexOf("?") === -1 ? "?" : "&") + query;
+};
+
+/**
+ * Create the normalized response that every transport resolves with. It has the same shape as the parts of a jqXHR
+ * that are used, so code reading responses works the same on every transport
+ * @param status the HTTP status, 0 if the request failed without a response
+ * @param getHeader function returning the value of a response header by name
+ * @param text the body of the response as text
+ * @param json the parsed body, if already parsed
+ * @returns {{status: number, body: *, responseText: string, responseJSON: *, getResponseHeader: Function}}
+ */
+var createResponse = function (status, getHeader, text, json) {
+  text = typeof text === "string" ? text : "";
+  if (typeof json === "undefined" && text.length > 0) {
+    try {
+      json = JSON.parse(text);
+    } catch (e) {
+      json = undefined;
+    }
+  }
+  return {
+    status: status,
+    body: typeof json !== "undefined" ? json : (text.length > 0 ? text : null),
+    responseText: text,
+    responseJSON: json,
+    getResponseHeader: function (name) {
+      var value = getHeader ? getHeader(name) : null;
+      return typeof value === "undefined" ? null : value;
+    }
+  };
+};
+
+var abortError = function () {
+  var error = new Error("Request aborted");
+  error.aborted = true;
+  return error;
+};
+
+/**
+ * Transports are functions that receive a normalized request with shape
+ *  { method: string, url: string, query: {}, headers: {}, body: string|undefined }
+ * and return a promise with an 'abort' function. The promise is resolved with the normalized response (see
+ * createResponse) whenever the server responds, including with an error status, and rejected if the request could not
+ * be made or was aborted, in which case the error has an 'aborted' property
+ */
+
+/**
+ * Create a transport that uses the WHATWG fetch function
+ * @param fetchFn the fetch function, defaults to the global fetch at the time of the request
+ * @returns {Function} the transport
+ */
+var createFetchTransport = function (fetchFn) {
+  return function (request) {
+    var fetchImpl = fetchFn || (typeof fetch !== "undefined" ? fetch : undefined);
+    var controller = typeof AbortController === "function" ? new AbortController() : null;
+    var aborted = false;
+    var rejectRequest;
+
+    var promise = new Promise(function (resolve, reject) {
+      rejectRequest = reject;
+      fetchImpl(buildUrl(request.url, request.query), {
+        method: request.method,
+        headers: request.headers,
+        body: request.body,
+        signal: controller ? controller.signal : undefined
+      }).then(function (res) {
+        return res.text().then(function (text) {
+          resolve(createResponse(res.status, function (name) {
+            return res.headers.get(name);
+          }, text));
+        });
+      }).then(null, function (error) {
+        reject(aborted ? abortError() : error);
+      });
+    });
+
+    promise.abort = function () {
+      if (!aborted) {
+        aborted = true;
+        if (controller) {
+          controller.abort();
+        }
+        rejectRequest(abortError());
+      }
+    };
+    return promise;
+  };
+};
+
+/**
+ * Transport that uses Backbone.ajax, i.e. jQuery
+ * @param request the normalized request
+ * @returns {Promise}
+ */
+var ajax = function (request) {
+  var xhr = null;
+  var fromXhr = function (jqXhr, json) {
+    return createResponse(jqXhr.status, function (name) {
+      return jqXhr.getResponseHeader(name);
+    }, jqXhr.responseText, json);
+  };
+
+  var promise = new Promise(function (resolve, reject) {
+    xhr = OriginalBackbone.ajax({
+      type: request.method,
+      url: buildUrl(request.url, request.query),
+      headers: request.headers,
+      data: request.body,
+      contentType: typeof request.body === "string" ? "application/json" : undefined,
+      processData: false,
+      dataType: "json",
+      success: function (json, textStatus, jqXhr) {
+        resolve(fromXhr(jqXhr, json));
+      },
+      error: function (jqXhr, textStatus) {
+        if (textStatus === "abort") {
+          reject(abortError());
+        } else {
+          resolve(fromXhr(jqXhr));
+        }
+      }
+    });
+  });
+
+  promise.abort = function () {
+    if (xhr && typeof xhr.abort === "function") {
+      xhr.abort();
+    }
+  };
+  return promise;
+};
+
+var fetchTransport = createFetchTransport();
+
+module.exports = {
+  serializeQuery: serializeQuery,
+  buildUrl: buildUrl,
+  createResponse: createResponse,
+  createFetchTransport: createFetchTransport,
+  fetch: fetchTransport,
+  ajax: ajax,
+
+  /**
+   * Transport that uses jQuery if Backbone has it, and fetch otherwise
+   * @param request the normalized request
+   * @returns {Promise}
+   */
+  auto: function (request) {
+    return OriginalBackbone.$ ? ajax(request) : fetchTransport(request);
+  }
+};
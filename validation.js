@@ -0,0 +1,133 @@
+'use strict';
+
+var _ = require('underscore');
+var attributePath = require('./attribute-path');
+
+var isEmptyValue = function (val) {
+  return typeof val === "undefined" || val === null || val === "" || (_.isArray(val) && val.length === 0);
+};
+
+/**
+ * Get the value at a path of an attributes object, delegating to nested models and collections
+ * @param attrs the attributes object
+ * @param path the path of the value
+ * @returns {*}
+ */
+var getPathValue = function (attrs, path) {
+  var keys = attributePath.parse(path);
+  var val = attrs;
+  while (keys.length > 0 && typeof val !== "undefined" && val !== null) {
+    if (_.isArray(val.models)) {
+      val = val.at(Number(keys.shift()));
+    } else if (typeof val.get === "function") {
+      val = val.get(attributePath.stringify([ keys.shift() ]));
+    } else {
+      val = val[ keys.shift() ];
+    }
+  }
+  return val;
+};
+
+/**
+ * Factories for the built in validators. A validator is a function called with (value, attributes, path) and the model
+ * as the context, that returns nothing when the value is valid, or an error message or a promise for an error message
+ * Every validator other than 'required' considers empty values to be valid
+ */
+var validators = {
+  required: function (message) {
+    return function (value) {
+      if (isEmptyValue(value)) {
+        return message || "is required";
+      }
+    };
+  },
+
+  pattern: function (regex, message) {
+    return function (value) {
+      if (!isEmptyValue(value) && !regex.test(String(value))) {
+        return message || "is invalid";
+      }
+    };
+  },
+
+  min: function (min, message) {
+    return function (value) {
+      if (!isEmptyValue(value) && +value < min) {
+        return message || ("must be at least " + min);
+      }
+    };
+  },
+
+  max: function (max, message) {
+    return function (value) {
+      if (!isEmptyValue(value) && +value > max) {
+        return message || ("must be at most " + max);
+      }
+    };
+  },
+
+  length: function (min, max, message) {
+    return function (value) {
+      if (!isEmptyValue(value) && (value.length < min || (typeof max === "number" && value.length > max))) {
+        return message || (typeof max === "number" ? "must have a length between " + min + " and " + max :
+            "must have a length of at least " + min);
+      }
+    };
+  },
+
+  oneOf: function (values, message) {
+    return function (value) {
+      if (!isEmptyValue(value) && !_.contains(values, value)) {
+        return message || ("must be one of " + values.join(", "));
+      }
+    };
+  }
+};
+
+/**
+ * Run the validation rules against a set of attributes
+ * @param rules object of path to a validator or array of validators
+ * @param attrs the attributes to validate
+ * @param model the model the rules belong to
+ * @param paths optional array of the paths to validate, all paths are validated if not given
+ * @returns {{errors: {}, pending: Array}} errors by canonical path from the validators that returned a message, and
+ * the promises of validators that are asynchronous, each of which adds to errors when it resolves with a message
+ */
+var run = function (rules, attrs, model, paths) {
+  var errors = {};
+  var pending = [];
+  if (paths) {
+    paths = _.map(paths, function (path) {
+      return attributePath.stringify(attributePath.parse(path));
+    });
+  }
+
+  _.each(rules, function (pathRules, path) {
+    var canonical = attributePath.stringify(attributePath.parse(path));
+    if (paths && !_.contains(paths, canonical)) {
+      return;
+    }
+    var addError = function (message) {
+      if (message) {
+        errors[ canonical ] = (errors[ canonical ] || []).concat([ message ]);
+      }
+    };
+    var value = getPathValue(attrs, path);
+
+    _.each(_.isArray(pathRules) ? pathRules : [ pathRules ], function (rule) {
+      var result = rule.call(model, value, attrs, canonical);
+      if (result && typeof result.then === "function") {
+        pending.push(result.then(addError));
+      } else {
+        addError(result);
+      }
+    });
+  });
+
+  return { errors: errors, pending: pending };
+};
+
+module.exports = {
+  validators: validators,
+  run: run
+};